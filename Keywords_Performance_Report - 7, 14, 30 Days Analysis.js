@@ -1,17 +1,28 @@
 /**
  * Keywords Performance Report - 7, 14, 30 Days Analysis
  * 
- * This script shows keyword performance across three time periods:
- * - Last 7 Days
- * - Last 14 Days
- * - Last 30 Days
+ * This script shows keyword performance across configurable time windows
+ * (Last 7, 14 and 30 Days by default), each compared with the same number
+ * of days right before it. All windows are built in memory from daily
+ * keyword data. Other baselines (same period last year, previous calendar
+ * month, month to date) can be selected with COMPARISON_MODE.
  * 
  * Metrics Displayed:
  * - Cost for each period
  * - Conversions for each period
  * - Cost Per Conversion (CPA) for each period
  * 
- * Sorted by highest cost (30-day period)
+ * Each cost and CPA change is tested on the daily spend and daily cost per
+ * conversion (Welch t-tests), and each conversion change on the conversion
+ * counts (Poisson rate test), so real changes can be told apart from noise.
+ * Keywords that are new or lost in a window are labelled explicitly.
+ * 
+ * Sorted by the magnitude of the significant changes (or by highest cost)
+ * 
+ * Anomaly detection compares yesterday's spend, and the conversions and CPA of
+ * the last day whose conversions are complete, of each keyword with its own
+ * daily history (robust z-scores, optionally by weekday) and lists spend
+ * spikes, conversion drops and CPA blow-ups separately.
  * 
  * Features:
  * - Gmail email notification with detailed table
@@ -38,10 +49,26 @@ const EMAIL_RECIPIENTS = [
   ''            // Add more recipients as needed
 ];
 
-// Minimum clicks threshold for each period (to filter out low-traffic keywords)
-const MIN_CLICKS_7_DAYS = 1;
-const MIN_CLICKS_14_DAYS = 2;
-const MIN_CLICKS_30_DAYS = 3;
+// Comparison windows, shortest first. Each window covers the last N full days
+// (ending yesterday) and is compared with the N days right before it.
+// minClicks filters out low-traffic keywords in that window and its previous period.
+const COMPARISON_WINDOWS = [
+  { days: 7, minClicks: 1 },
+  { days: 14, minClicks: 2 },
+  { days: 30, minClicks: 3 }
+];
+
+// Baseline each period is compared with:
+// 'PREVIOUS_PERIOD' - the same number of days right before each window
+// 'YEAR_OVER_YEAR'  - the same window last year (useful for Ramadan and year-end seasonality)
+// 'PREVIOUS_MONTH'  - the last complete calendar month vs the month before (ignores COMPARISON_WINDOWS)
+// 'MONTH_TO_DATE'   - this month so far vs the same days of last month (ignores COMPARISON_WINDOWS)
+// The month modes use the minClicks of the longest window in COMPARISON_WINDOWS.
+const COMPARISON_MODE = 'PREVIOUS_PERIOD';
+
+// YEAR_OVER_YEAR only: compare with 52 weeks earlier (364 days) so Mondays are
+// compared with Mondays. Set to false to compare the same calendar dates instead.
+const ALIGN_WEEKDAYS = true;
 
 // Exchange rate: AED to USD (set to 1 if you don't need conversion)
 const AED_TO_USD = 3.67;
@@ -52,16 +79,33 @@ const CAMPAIGN_NAME_CONTAINS = '';  // Example: 'Brand' to only include brand ca
 // Keyword status filter
 const KEYWORD_STATUS = 'ENABLED';  // Options: 'ENABLED', 'PAUSED', 'ALL'
 
-// Number of keywords to show in email (sorted by cost)
+// Significance level for flagging a change as real rather than noise
+const CHANGE_SIGNIFICANCE_LEVEL = 0.05;
+
+// Email sort order: 'CHANGE' (largest significant changes first) or 'COST'
+const SORT_KEYWORDS_BY = 'CHANGE';
+
+// Number of keywords to show in email
 const MAX_KEYWORDS_IN_EMAIL = 100;
 
+// Daily anomaly detection: flags yesterday's spend spikes, and conversion drops and
+// CPA blow-ups of the last complete day, against each keyword's own daily history
+const ANOMALY_DETECTION = true;
+const ANOMALY_LOOKBACK_DAYS = 90;       // Days of history before yesterday (60-90 recommended)
+const ANOMALY_METHOD = 'ROBUST_Z';      // 'ROBUST_Z' (all days) or 'WEEKDAY' (same weekday only)
+const ANOMALY_THRESHOLD = 3;            // Robust z-score (median / MAD) beyond which a day is anomalous
+const ANOMALY_MIN_HISTORY_DAYS = 6;     // Minimum baseline days (after the weekday filter) to judge a keyword
+const ANOMALY_MIN_COST = 10;            // Ignore spend spikes and CPA blow-ups below this cost (USD)
+const ANOMALY_CONVERSION_LAG_DAYS = 7;  // Days for a click's conversions to be reported; conversions and CPA
+                                        // are judged on the day this long before yesterday (0 = yesterday)
+
 // ============================================================================
 // MAIN FUNCTION
 // ============================================================================
 
 function main() {
   Logger.log('='.repeat(70));
-  Logger.log('🚀 Starting Keywords Performance Report (7, 14, 30 Days)');
+  Logger.log(`🚀 Starting Keywords Performance Report (${describeReportPeriods()})`);
   Logger.log('='.repeat(70));
   
   try {
@@ -69,56 +113,70 @@ function main() {
     if (EMAIL_RECIPIENTS.length === 0) {
       throw new Error('Please configure EMAIL_RECIPIENTS in the script settings');
     }
+    validateComparisonSettings();
     
+    Logger.log(`🎯 Baseline: ${describeBaseline()}`);
     Logger.log(`🎯 Keyword Status: ${KEYWORD_STATUS}`);
     if (CAMPAIGN_NAME_CONTAINS) {
       Logger.log(`🎯 Campaign Filter: ${CAMPAIGN_NAME_CONTAINS}`);
     }
     
-    // Fetch keywords for all periods (current and previous)
+    // Fetch daily keyword data once, covering every period (current and previous)
     Logger.log('\n' + '='.repeat(70));
     Logger.log('📊 FETCHING DATA FOR ALL PERIODS');
     Logger.log('='.repeat(70));
     
-    Logger.log('📊 Fetching Last 7 Days data...');
-    const keywords7Days = fetchKeywordsData('LAST_7_DAYS', MIN_CLICKS_7_DAYS);
-    Logger.log(`✅ Found ${keywords7Days.length} keywords (Last 7 Days)`);
-    
-    Logger.log('📊 Fetching Previous 7 Days data (days 8-14)...');
-    const keywordsPrev7Days = fetchKeywordsDataCustomRange(8, 14, MIN_CLICKS_7_DAYS);
-    Logger.log(`✅ Found ${keywordsPrev7Days.length} keywords (Previous 7 Days)`);
-    
-    Logger.log('📊 Fetching Last 14 Days data...');
-    const keywords14Days = fetchKeywordsData('LAST_14_DAYS', MIN_CLICKS_14_DAYS);
-    Logger.log(`✅ Found ${keywords14Days.length} keywords (Last 14 Days)`);
-    
-    Logger.log('📊 Fetching Previous 14 Days data (days 15-28)...');
-    const keywordsPrev14Days = fetchKeywordsDataCustomRange(15, 28, MIN_CLICKS_14_DAYS);
-    Logger.log(`✅ Found ${keywordsPrev14Days.length} keywords (Previous 14 Days)`);
+    const periods = buildComparisonPeriods();
+    const anomalyDate = getAccountDate(1);
+    const conversionAnomalyDate = shiftDate(anomalyDate, -ANOMALY_CONVERSION_LAG_DAYS);
+    const anomalyRange = { start: shiftDate(conversionAnomalyDate, -ANOMALY_LOOKBACK_DAYS), end: anomalyDate };
+    const dateRanges = mergeDateRanges(periods.reduce((ranges, period) => ranges.concat([period.current, period.previous]),
+                                                      ANOMALY_DETECTION ? [anomalyRange] : []));
     
-    Logger.log('📊 Fetching Last 30 Days data...');
-    const keywords30Days = fetchKeywordsData('LAST_30_DAYS', MIN_CLICKS_30_DAYS);
-    Logger.log(`✅ Found ${keywords30Days.length} keywords (Last 30 Days)`);
+    Logger.log(`📊 Fetching daily data (${dateRanges.map(formatDateRange).join(', ')})...`);
+    const keywordSeries = fetchKeywordDailyData(dateRanges);
+    Logger.log(`✅ Found ${keywordSeries.size} keywords with traffic`);
     
-    Logger.log('📊 Fetching Previous 30 Days data (days 31-60)...');
-    const keywordsPrev30Days = fetchKeywordsDataCustomRange(31, 60, MIN_CLICKS_30_DAYS);
-    Logger.log(`✅ Found ${keywordsPrev30Days.length} keywords (Previous 30 Days)`);
+    // Build every window and its previous period in memory. The baseline keeps every
+    // keyword with traffic, so changes (and new keywords) are measured against what
+    // actually happened rather than against the click threshold.
+    periods.forEach(period => {
+      const activeKeywords = aggregateKeywords(keywordSeries, period.current, 0);
+      period.keywords = activeKeywords.filter(kw => kw.clicks >= period.minClicks);
+      period.activeKeys = new Set(activeKeywords.map(kw => kw.uniqueKey));
+      period.previousKeywords = aggregateKeywords(keywordSeries, period.previous, 0);
+      Logger.log(`✅ ${period.label}: ${period.keywords.length} keywords (${formatDateRange(period.current)}), ` +
+                 `baseline: ${period.previousKeywords.length} keywords (${formatDateRange(period.previous)})`);
+    });
     
     // Combine all keywords from all periods (including previous periods for comparison)
     Logger.log('\n' + '='.repeat(70));
     Logger.log('🔍 COMBINING KEYWORDS FROM ALL PERIODS');
     Logger.log('='.repeat(70));
-    const allKeywords = combineAllKeywords(
-      keywords7Days, keywordsPrev7Days,
-      keywords14Days, keywordsPrev14Days,
-      keywords30Days, keywordsPrev30Days
-    );
+    const allKeywords = combineAllKeywords(periods);
     Logger.log(`✅ Total unique keywords: ${allKeywords.length}`);
     
+    // Check yesterday's spend, and the conversions of the last complete day, against
+    // each keyword's daily history
+    let anomalies = [];
+    if (ANOMALY_DETECTION) {
+      Logger.log('\n' + '='.repeat(70));
+      Logger.log(`🚨 DETECTING ANOMALIES (spend: ${anomalyDate}, conversions and CPA: ${conversionAnomalyDate})`);
+      Logger.log('='.repeat(70));
+      anomalies = detectKeywordAnomalies(keywordSeries, anomalyDate, conversionAnomalyDate);
+      anomalies.forEach(anomaly => {
+        Logger.log(`🚨 ${anomaly.type} (${anomaly.date}): ${anomaly.keywordText} (${anomaly.campaignName} > ${anomaly.adGroupName}) - ` +
+                   `actual ${formatAnomalyValue(anomaly, anomaly.actual)}, expected ${formatAnomalyValue(anomaly, anomaly.expectedLow)}` +
+                   ` to ${formatAnomalyValue(anomaly, anomaly.expectedHigh)}`);
+      });
+      Logger.log(`✅ Found ${anomalies.length} anomalies`);
+    }
+    
     // Calculate summaries
-    const summary7Days = calculateSummary(keywords7Days);
-    const summary14Days = calculateSummary(keywords14Days);
-    const summary30Days = calculateSummary(keywords30Days);
+    periods.forEach(period => {
+      period.summary = calculateSummary(period.keywords);
+      period.changeCounts = countPeriodChanges(allKeywords, period);
+    });
     
     // Send Gmail report
     Logger.log('\n' + '='.repeat(70));
@@ -126,9 +184,10 @@ function main() {
     Logger.log('='.repeat(70));
     sendGmailReport({
       allKeywords: allKeywords,
-      summary7Days: summary7Days,
-      summary14Days: summary14Days,
-      summary30Days: summary30Days
+      periods: periods,
+      anomalies: anomalies,
+      anomalyDate: anomalyDate,
+      conversionAnomalyDate: conversionAnomalyDate
     });
     Logger.log(`✅ Email sent to: ${EMAIL_RECIPIENTS.join(', ')}`);
     
@@ -137,7 +196,7 @@ function main() {
     Logger.log('='.repeat(70));
     
     // Display summary
-    displaySummary(summary7Days, summary14Days, summary30Days, allKeywords.length);
+    displaySummary(periods, allKeywords.length, anomalies);
     
   } catch (error) {
     Logger.log(`❌ Error: ${error.message}`);
@@ -147,150 +206,204 @@ function main() {
 }
 
 // ============================================================================
-// DATA FETCHING
+// COMPARISON PERIODS
 // ============================================================================
 
-function fetchKeywordsData(dateRange, minClicks) {
-  const keywords = [];
-  
-  // Build the query
-  let query = `
-    SELECT
-      campaign.id,
-      campaign.name,
-      ad_group.id,
-      ad_group.name,
-      ad_group_criterion.keyword.text,
-      ad_group_criterion.keyword.match_type,
-      ad_group_criterion.criterion_id,
-      metrics.impressions,
-      metrics.clicks,
-      metrics.cost_micros,
-      metrics.ctr,
-      metrics.average_cpc,
-      metrics.conversions,
-      metrics.conversions_value
-    FROM keyword_view
-    WHERE segments.date DURING ${dateRange}
-  `;
-  
-  // Add status filter
-  if (KEYWORD_STATUS === 'ENABLED') {
-    query += `
-      AND campaign.status = 'ENABLED'
-      AND ad_group.status = 'ENABLED'
-      AND ad_group_criterion.status = 'ENABLED'
-    `;
-  } else if (KEYWORD_STATUS === 'PAUSED') {
-    query += `
-      AND ad_group_criterion.status = 'PAUSED'
-    `;
+function validateComparisonSettings() {
+  const modes = ['PREVIOUS_PERIOD', 'YEAR_OVER_YEAR', 'PREVIOUS_MONTH', 'MONTH_TO_DATE'];
+  if (modes.indexOf(COMPARISON_MODE) === -1) {
+    throw new Error(`Invalid COMPARISON_MODE: ${COMPARISON_MODE} - use one of ${modes.join(', ')}`);
   }
-  
-  // Add campaign filter if specified
-  if (CAMPAIGN_NAME_CONTAINS) {
-    query += `
-      AND campaign.name CONTAINS_IGNORE_CASE '${CAMPAIGN_NAME_CONTAINS}'
-    `;
+  if (COMPARISON_WINDOWS.length === 0) {
+    throw new Error('Please configure at least one window in COMPARISON_WINDOWS');
   }
+  COMPARISON_WINDOWS.forEach(window => {
+    if (!(window.days >= 1) || Math.floor(window.days) !== window.days) {
+      throw new Error(`Invalid comparison window: ${JSON.stringify(window)} - days must be a whole number of at least 1`);
+    }
+  });
+  if (!(ANOMALY_CONVERSION_LAG_DAYS >= 0) || Math.floor(ANOMALY_CONVERSION_LAG_DAYS) !== ANOMALY_CONVERSION_LAG_DAYS) {
+    throw new Error(`Invalid ANOMALY_CONVERSION_LAG_DAYS: ${ANOMALY_CONVERSION_LAG_DAYS} - use a whole number of at least 0`);
+  }
+}
+
+function describeReportPeriods() {
+  if (COMPARISON_MODE === 'PREVIOUS_MONTH') {
+    return 'Previous Month';
+  }
+  if (COMPARISON_MODE === 'MONTH_TO_DATE') {
+    return 'Month to Date';
+  }
+  return COMPARISON_WINDOWS.map(window => window.days).join(', ') + ' Days';
+}
+
+function describeBaseline() {
+  switch (COMPARISON_MODE) {
+    case 'YEAR_OVER_YEAR':
+      return ALIGN_WEEKDAYS
+        ? 'Same period last year (52 weeks earlier, weekdays aligned)'
+        : 'Same dates last year';
+    case 'PREVIOUS_MONTH':
+      return 'Previous calendar month vs the month before';
+    case 'MONTH_TO_DATE':
+      return 'Month to date vs the same days of last month';
+    default:
+      return 'Previous period (the same number of days right before each window)';
+  }
+}
+
+// Builds the current and previous date range of every period for the
+// selected COMPARISON_MODE. Windows end yesterday (like LAST_N_DAYS).
+function buildComparisonPeriods() {
+  const endDate = getAccountDate(1);
   
-  // Filter for minimum clicks
-  query += `
-    AND metrics.clicks >= ${minClicks}
-  `;
-  
-  // Order by cost descending (most expensive first)
-  query += `
-    ORDER BY metrics.cost_micros DESC
-  `;
-  
-  Logger.log(`🔍 Executing query for ${dateRange}...`);
-  const report = AdsApp.report(query);
-  const rows = report.rows();
+  if (COMPARISON_MODE === 'PREVIOUS_MONTH') {
+    return [buildPreviousMonthPeriod(getAccountDate(0))];
+  }
+  if (COMPARISON_MODE === 'MONTH_TO_DATE') {
+    return [buildMonthToDatePeriod(endDate)];
+  }
   
-  while (rows.hasNext()) {
-    const row = rows.next();
-    
-    const campaignId = row['campaign.id'];
-    const campaignName = row['campaign.name'];
-    const adGroupId = row['ad_group.id'];
-    const adGroupName = row['ad_group.name'];
-    const keywordText = row['ad_group_criterion.keyword.text'];
-    const matchType = row['ad_group_criterion.keyword.match_type'];
-    const keywordId = row['ad_group_criterion.criterion_id'];
-    const impressions = parseInt(row['metrics.impressions']) || 0;
-    const clicks = parseInt(row['metrics.clicks']) || 0;
-    const costMicros = parseFloat(row['metrics.cost_micros']) || 0;
-    const ctr = parseFloat(row['metrics.ctr']) || 0;
-    const avgCpcMicros = parseFloat(row['metrics.average_cpc']) || 0;
-    const conversions = parseFloat(row['metrics.conversions']) || 0;
-    const conversionsValue = parseFloat(row['metrics.conversions_value']) || 0;
-    
-    // Convert cost from micros to currency, then AED to USD
-    const costAED = costMicros / 1000000;
-    const cost = costAED / AED_TO_USD;
-    
-    // Convert CPC from micros
-    const cpcAED = avgCpcMicros / 1000000;
-    const cpc = cpcAED / AED_TO_USD;
-    
-    // Calculate CPA (Cost Per Acquisition)
-    const cpa = conversions > 0 ? (cost / conversions) : 0;
+  return COMPARISON_WINDOWS.map(window => {
+    const currentStart = shiftDate(endDate, -(window.days - 1));
     
-    // Format match type for display
-    let matchTypeDisplay = matchType;
-    if (matchType === 'EXACT') {
-      matchTypeDisplay = 'Exact';
-    } else if (matchType === 'PHRASE') {
-      matchTypeDisplay = 'Phrase';
-    } else if (matchType === 'BROAD') {
-      matchTypeDisplay = 'Broad';
+    let previousStart;
+    if (COMPARISON_MODE === 'YEAR_OVER_YEAR') {
+      previousStart = ALIGN_WEEKDAYS ? shiftDate(currentStart, -364) : shiftYear(currentStart, -1);
+    } else {
+      previousStart = shiftDate(currentStart, -window.days);
     }
     
-    keywords.push({
-      campaignId: campaignId,
-      campaignName: campaignName,
-      adGroupId: adGroupId,
-      adGroupName: adGroupName,
-      keywordText: keywordText,
-      matchType: matchTypeDisplay,
-      keywordId: keywordId,
-      impressions: impressions,
-      clicks: clicks,
-      cost: cost,
-      ctr: ctr * 100,  // Convert to percentage
-      cpc: cpc,
-      conversions: conversions,
-      conversionsValue: conversionsValue,
-      cpa: cpa,
-      // Unique identifier for matching across periods
-      uniqueKey: `${campaignId}_${adGroupId}_${keywordId}`
-    });
-  }
+    return {
+      key: `${window.days}d`,
+      label: `Last ${window.days} Days`,
+      shortLabel: `${window.days}d`,
+      minClicks: window.minClicks || 0,
+      current: { start: currentStart, end: endDate },
+      previous: { start: previousStart, end: shiftDate(previousStart, window.days - 1) }
+    };
+  });
+}
+
+// The last complete calendar month before today, compared with the month before it.
+// Months differ in length and weekday mix, so there is no weekday alignment here.
+function buildPreviousMonthPeriod(today) {
+  const currentStart = shiftMonth(getMonthStart(today), -1);
+  const previousStart = shiftMonth(currentStart, -1);
   
-  return keywords;
+  return {
+    key: 'month',
+    label: `Previous Month (${formatMonth(currentStart)})`,
+    shortLabel: formatMonth(currentStart),
+    minClicks: getLongestWindowMinClicks(),
+    current: { start: currentStart, end: shiftDate(getMonthStart(today), -1) },
+    previous: { start: previousStart, end: shiftDate(currentStart, -1) }
+  };
 }
 
-function fetchKeywordsDataCustomRange(daysAgo, daysAgoEnd, minClicks) {
-  const keywords = [];
+// The month of endDate up to endDate, compared with the same days of the month
+// before (cut at that month's last day, e.g. 31 March vs 28 February)
+function buildMonthToDatePeriod(endDate) {
+  const currentStart = getMonthStart(endDate);
+  const previousStart = shiftMonth(currentStart, -1);
+  const previousMonthEnd = shiftDate(currentStart, -1);
+  const sameDayLastMonth = shiftDate(previousStart, daysBetween(currentStart, endDate));
   
-  // Calculate date range
-  const today = new Date();
-  const endDate = new Date(today);
-  endDate.setDate(today.getDate() - daysAgo);
-  const startDate = new Date(today);
-  startDate.setDate(today.getDate() - daysAgoEnd);
-  
-  const formatDate = (date) => {
-    const year = date.getFullYear();
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    const day = String(date.getDate()).padStart(2, '0');
-    return `${year}${month}${day}`;
+  return {
+    key: 'mtd',
+    label: `Month to Date (${formatMonth(currentStart)})`,
+    shortLabel: 'MTD',
+    minClicks: getLongestWindowMinClicks(),
+    current: { start: currentStart, end: endDate },
+    previous: { start: previousStart, end: sameDayLastMonth < previousMonthEnd ? sameDayLastMonth : previousMonthEnd }
   };
+}
+
+function getLongestWindowMinClicks() {
+  const longest = COMPARISON_WINDOWS.reduce((max, window) => window.days > max.days ? window : max, COMPARISON_WINDOWS[0]);
+  return longest.minClicks || 0;
+}
+
+// Merges overlapping or adjacent date ranges so each day is fetched once
+function mergeDateRanges(ranges) {
+  const sorted = ranges.slice().sort((a, b) => a.start < b.start ? -1 : (a.start > b.start ? 1 : 0));
+  const merged = [];
   
-  const startDateStr = formatDate(startDate);
-  const endDateStr = formatDate(endDate);
+  sorted.forEach(range => {
+    const last = merged[merged.length - 1];
+    if (last && range.start <= shiftDate(last.end, 1)) {
+      if (range.end > last.end) {
+        last.end = range.end;
+      }
+    } else {
+      merged.push({ start: range.start, end: range.end });
+    }
+  });
   
+  return merged;
+}
+
+// Date N days ago in the account's time zone, as yyyy-MM-dd
+function getAccountDate(daysAgo) {
+  const date = new Date(Date.now() - daysAgo * 24 * 60 * 60 * 1000);
+  return Utilities.formatDate(date, AdsApp.currentAccount().getTimeZone(), 'yyyy-MM-dd');
+}
+
+// Shifts a yyyy-MM-dd date by a number of days
+function shiftDate(dateStr, days) {
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+// Shifts a yyyy-MM-dd date by whole years, moving 29 February to the 28th
+function shiftYear(dateStr, years) {
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  const month = date.getUTCMonth();
+  date.setUTCFullYear(date.getUTCFullYear() + years);
+  if (date.getUTCMonth() !== month) {
+    date.setUTCDate(0);
+  }
+  return date.toISOString().slice(0, 10);
+}
+
+// Shifts the first day of a month (yyyy-MM-01) by whole months
+function shiftMonth(monthStart, months) {
+  const date = new Date(`${monthStart}T00:00:00Z`);
+  date.setUTCMonth(date.getUTCMonth() + months);
+  return date.toISOString().slice(0, 10);
+}
+
+function getMonthStart(dateStr) {
+  return `${dateStr.slice(0, 8)}01`;
+}
+
+function daysBetween(startDate, endDate) {
+  return Math.round((Date.parse(`${endDate}T00:00:00Z`) - Date.parse(`${startDate}T00:00:00Z`)) / (24 * 60 * 60 * 1000));
+}
+
+function formatMonth(dateStr) {
+  const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+  return `${months[parseInt(dateStr.slice(5, 7), 10) - 1]} ${dateStr.slice(0, 4)}`;
+}
+
+function formatDateRange(range) {
+  return `${range.start} to ${range.end}`;
+}
+
+// ============================================================================
+// DATA FETCHING
+// ============================================================================
+
+// Fetches one row per keyword and day for each date range and returns a
+// Map of uniqueKey -> keyword details with its daily metrics
+function fetchKeywordDailyData(dateRanges) {
+  const keywordSeries = new Map();
+  dateRanges.forEach(range => fetchKeywordDailyRange(range.start, range.end, keywordSeries));
+  return keywordSeries;
+}
+
+function fetchKeywordDailyRange(startDate, endDate, keywordSeries) {
   // Build the query
   let query = `
     SELECT
@@ -301,15 +414,14 @@ function fetchKeywordsDataCustomRange(daysAgo, daysAgoEnd, minClicks) {
       ad_group_criterion.keyword.text,
       ad_group_criterion.keyword.match_type,
       ad_group_criterion.criterion_id,
+      segments.date,
       metrics.impressions,
       metrics.clicks,
       metrics.cost_micros,
-      metrics.ctr,
-      metrics.average_cpc,
       metrics.conversions,
       metrics.conversions_value
     FROM keyword_view
-    WHERE segments.date BETWEEN '${startDateStr}' AND '${endDateStr}'
+    WHERE segments.date BETWEEN '${startDate}' AND '${endDate}'
   `;
   
   // Add status filter
@@ -332,16 +444,7 @@ function fetchKeywordsDataCustomRange(daysAgo, daysAgoEnd, minClicks) {
     `;
   }
   
-  // Filter for minimum clicks
-  query += `
-    AND metrics.clicks >= ${minClicks}
-  `;
-  
-  query += `
-    ORDER BY metrics.cost_micros DESC
-  `;
-  
-  Logger.log(`🔍 Executing custom range query (${daysAgoEnd}-${daysAgo} days ago)...`);
+  Logger.log(`🔍 Executing daily query (${startDate} to ${endDate})...`);
   const report = AdsApp.report(query);
   const rows = report.rows();
   
@@ -349,162 +452,598 @@ function fetchKeywordsDataCustomRange(daysAgo, daysAgoEnd, minClicks) {
     const row = rows.next();
     
     const campaignId = row['campaign.id'];
-    const campaignName = row['campaign.name'];
     const adGroupId = row['ad_group.id'];
-    const adGroupName = row['ad_group.name'];
-    const keywordText = row['ad_group_criterion.keyword.text'];
-    const matchType = row['ad_group_criterion.keyword.match_type'];
     const keywordId = row['ad_group_criterion.criterion_id'];
-    const impressions = parseInt(row['metrics.impressions']) || 0;
-    const clicks = parseInt(row['metrics.clicks']) || 0;
-    const costMicros = parseFloat(row['metrics.cost_micros']) || 0;
-    const ctr = parseFloat(row['metrics.ctr']) || 0;
-    const avgCpcMicros = parseFloat(row['metrics.average_cpc']) || 0;
-    const conversions = parseFloat(row['metrics.conversions']) || 0;
-    const conversionsValue = parseFloat(row['metrics.conversions_value']) || 0;
-    
-    const costAED = costMicros / 1000000;
-    const cost = costAED / AED_TO_USD;
-    const cpcAED = avgCpcMicros / 1000000;
-    const cpc = cpcAED / AED_TO_USD;
-    const cpa = conversions > 0 ? (cost / conversions) : 0;
+    // Unique identifier for matching across periods
+    const uniqueKey = `${campaignId}_${adGroupId}_${keywordId}`;
     
-    let matchTypeDisplay = matchType;
-    if (matchType === 'EXACT') {
-      matchTypeDisplay = 'Exact';
-    } else if (matchType === 'PHRASE') {
-      matchTypeDisplay = 'Phrase';
-    } else if (matchType === 'BROAD') {
-      matchTypeDisplay = 'Broad';
+    let series = keywordSeries.get(uniqueKey);
+    if (!series) {
+      const matchType = row['ad_group_criterion.keyword.match_type'];
+      
+      // Format match type for display
+      let matchTypeDisplay = matchType;
+      if (matchType === 'EXACT') {
+        matchTypeDisplay = 'Exact';
+      } else if (matchType === 'PHRASE') {
+        matchTypeDisplay = 'Phrase';
+      } else if (matchType === 'BROAD') {
+        matchTypeDisplay = 'Broad';
+      }
+      
+      series = {
+        campaignId: campaignId,
+        campaignName: row['campaign.name'],
+        adGroupId: adGroupId,
+        adGroupName: row['ad_group.name'],
+        keywordText: row['ad_group_criterion.keyword.text'],
+        matchType: matchTypeDisplay,
+        keywordId: keywordId,
+        uniqueKey: uniqueKey,
+        days: {}
+      };
+      keywordSeries.set(uniqueKey, series);
     }
     
-    keywords.push({
-      campaignId: campaignId,
-      campaignName: campaignName,
-      adGroupId: adGroupId,
-      adGroupName: adGroupName,
-      keywordText: keywordText,
-      matchType: matchTypeDisplay,
-      keywordId: keywordId,
-      impressions: impressions,
-      clicks: clicks,
-      cost: cost,
-      ctr: ctr * 100,
-      cpc: cpc,
-      conversions: conversions,
-      conversionsValue: conversionsValue,
-      cpa: cpa,
-      uniqueKey: `${campaignId}_${adGroupId}_${keywordId}`
-    });
+    series.days[row['segments.date']] = {
+      impressions: parseInt(row['metrics.impressions']) || 0,
+      clicks: parseInt(row['metrics.clicks']) || 0,
+      costMicros: parseFloat(row['metrics.cost_micros']) || 0,
+      conversions: parseFloat(row['metrics.conversions']) || 0,
+      conversionsValue: parseFloat(row['metrics.conversions_value']) || 0
+    };
   }
+}
+
+// Sums each keyword's daily metrics over a date range and returns the
+// keywords with at least minClicks, most expensive first. Each keyword also
+// keeps its daily cost and conversions (0 on days without traffic) for the
+// significance tests.
+function aggregateKeywords(keywordSeries, range, minClicks) {
+  const keywords = [];
+  const dates = [];
+  for (let date = range.start; date <= range.end; date = shiftDate(date, 1)) {
+    dates.push(date);
+  }
+  
+  keywordSeries.forEach(series => {
+    const totals = { impressions: 0, clicks: 0, costMicros: 0, conversions: 0, conversionsValue: 0 };
+    let hasData = false;
+    
+    Object.keys(series.days).forEach(date => {
+      if (date < range.start || date > range.end) {
+        return;
+      }
+      const day = series.days[date];
+      hasData = true;
+      totals.impressions += day.impressions;
+      totals.clicks += day.clicks;
+      totals.costMicros += day.costMicros;
+      totals.conversions += day.conversions;
+      totals.conversionsValue += day.conversionsValue;
+    });
+    
+    if (hasData && totals.clicks >= minClicks) {
+      const record = createKeywordRecord(series, totals);
+      record.dailyCost = dates.map(date => series.days[date] ? series.days[date].costMicros / 1000000 / AED_TO_USD : 0);
+      record.dailyConversions = dates.map(date => series.days[date] ? series.days[date].conversions : 0);
+      keywords.push(record);
+    }
+  });
+  
+  // Order by cost descending (most expensive first)
+  keywords.sort((a, b) => b.cost - a.cost);
   
   return keywords;
 }
 
+function createKeywordRecord(series, totals) {
+  // Convert cost from micros to currency, then AED to USD
+  const costAED = totals.costMicros / 1000000;
+  const cost = costAED / AED_TO_USD;
+  
+  // Average CPC and CTR from the period totals
+  const cpc = totals.clicks > 0 ? (cost / totals.clicks) : 0;
+  const ctr = totals.impressions > 0 ? (totals.clicks / totals.impressions) : 0;
+  
+  // Calculate CPA (Cost Per Acquisition)
+  const cpa = totals.conversions > 0 ? (cost / totals.conversions) : 0;
+  
+  return {
+    campaignId: series.campaignId,
+    campaignName: series.campaignName,
+    adGroupId: series.adGroupId,
+    adGroupName: series.adGroupName,
+    keywordText: series.keywordText,
+    matchType: series.matchType,
+    keywordId: series.keywordId,
+    impressions: totals.impressions,
+    clicks: totals.clicks,
+    cost: cost,
+    ctr: ctr * 100,  // Convert to percentage
+    cpc: cpc,
+    conversions: totals.conversions,
+    conversionsValue: totals.conversionsValue,
+    cpa: cpa,
+    uniqueKey: series.uniqueKey
+  };
+}
+
 // ============================================================================
 // COMBINE ALL KEYWORDS FROM ALL PERIODS
 // ============================================================================
 
-function combineAllKeywords(keywords7Days, keywordsPrev7Days, keywords14Days, keywordsPrev14Days, keywords30Days, keywordsPrev30Days) {
+function combineAllKeywords(periods) {
   // Use a Map to track unique keywords and their data across periods
   const keywordMap = new Map();
   
-  // Helper function to add keyword to map
-  const addToMap = (kw, periodKey) => {
-    if (keywordMap.has(kw.uniqueKey)) {
-      const existing = keywordMap.get(kw.uniqueKey);
-      existing[periodKey] = kw;
-    } else {
+  // Helper function to get or create the keyword's entry
+  const getEntry = kw => {
+    if (!keywordMap.has(kw.uniqueKey)) {
       const newEntry = {
         campaignName: kw.campaignName,
         adGroupName: kw.adGroupName,
         keywordText: kw.keywordText,
         matchType: kw.matchType,
         uniqueKey: kw.uniqueKey,
-        data7Days: null,
-        dataPrev7Days: null,
-        data14Days: null,
-        dataPrev14Days: null,
-        data30Days: null,
-        dataPrev30Days: null
+        periods: {}
       };
-      newEntry[periodKey] = kw;
+      periods.forEach(period => {
+        newEntry.periods[period.key] = { current: null, previous: null, lost: false };
+      });
       keywordMap.set(kw.uniqueKey, newEntry);
     }
+    return keywordMap.get(kw.uniqueKey);
   };
   
-  // Process all periods
-  keywords7Days.forEach(kw => addToMap(kw, 'data7Days'));
-  keywordsPrev7Days.forEach(kw => addToMap(kw, 'dataPrev7Days'));
-  keywords14Days.forEach(kw => addToMap(kw, 'data14Days'));
-  keywordsPrev14Days.forEach(kw => addToMap(kw, 'dataPrev14Days'));
-  keywords30Days.forEach(kw => addToMap(kw, 'data30Days'));
-  keywordsPrev30Days.forEach(kw => addToMap(kw, 'dataPrev30Days'));
+  // Keywords above the click threshold in any window
+  periods.forEach(period => {
+    period.keywords.forEach(kw => {
+      getEntry(kw).periods[period.key].current = kw;
+    });
+  });
+  
+  // Baselines of those keywords, plus keywords that had enough clicks in the
+  // baseline and no traffic at all in the window (lost)
+  periods.forEach(period => {
+    period.previousKeywords.forEach(kw => {
+      const lost = kw.clicks >= period.minClicks && !period.activeKeys.has(kw.uniqueKey);
+      if (!lost && !keywordMap.has(kw.uniqueKey)) {
+        return;
+      }
+      const data = getEntry(kw).periods[period.key];
+      data.previous = kw;
+      data.lost = lost;
+    });
+  });
   
-  // Convert map to array and calculate percentage changes for all metrics
+  // Convert map to array and calculate the changes and their significance
   const allKeywords = Array.from(keywordMap.values()).map(kw => {
-    // Calculate percentage changes for cost
-    kw.costChange7d = calculatePercentageChange(
-      kw.data7Days ? kw.data7Days.cost : 0,
-      kw.dataPrev7Days ? kw.dataPrev7Days.cost : 0
-    );
-    kw.costChange14d = calculatePercentageChange(
-      kw.data14Days ? kw.data14Days.cost : 0,
-      kw.dataPrev14Days ? kw.dataPrev14Days.cost : 0
-    );
-    kw.costChange30d = calculatePercentageChange(
-      kw.data30Days ? kw.data30Days.cost : 0,
-      kw.dataPrev30Days ? kw.dataPrev30Days.cost : 0
-    );
-    
-    // Calculate percentage changes for conversions
-    kw.convChange7d = calculatePercentageChange(
-      kw.data7Days ? kw.data7Days.conversions : 0,
-      kw.dataPrev7Days ? kw.dataPrev7Days.conversions : 0
-    );
-    kw.convChange14d = calculatePercentageChange(
-      kw.data14Days ? kw.data14Days.conversions : 0,
-      kw.dataPrev14Days ? kw.dataPrev14Days.conversions : 0
-    );
-    kw.convChange30d = calculatePercentageChange(
-      kw.data30Days ? kw.data30Days.conversions : 0,
-      kw.dataPrev30Days ? kw.dataPrev30Days.conversions : 0
-    );
-    
-    // Calculate percentage changes for CPA
-    kw.cpaChange7d = calculatePercentageChange(
-      kw.data7Days ? kw.data7Days.cpa : 0,
-      kw.dataPrev7Days ? kw.dataPrev7Days.cpa : 0
-    );
-    kw.cpaChange14d = calculatePercentageChange(
-      kw.data14Days ? kw.data14Days.cpa : 0,
-      kw.dataPrev14Days ? kw.dataPrev14Days.cpa : 0
-    );
-    kw.cpaChange30d = calculatePercentageChange(
-      kw.data30Days ? kw.data30Days.cpa : 0,
-      kw.dataPrev30Days ? kw.dataPrev30Days.cpa : 0
-    );
+    kw.changeScore = 0;
+    periods.forEach(period => {
+      const data = kw.periods[period.key];
+      data.status = getKeywordStatus(data);
+      data.changes = compareKeywordPeriods(data, period);
+      data.changeScore = calculateChangeScore(data.changes);
+      kw.changeScore = Math.max(kw.changeScore, data.changeScore);
+    });
     
     return kw;
   });
   
-  // Sort by 7-day cost (highest first)
+  // Sort by cost in the shortest window (highest first), falling back to longer windows
+  const sortCost = kw => {
+    for (const period of periods) {
+      const data = kw.periods[period.key];
+      if (data.current || data.previous) {
+        return data.current ? data.current.cost : 0;
+      }
+    }
+    return 0;
+  };
   allKeywords.sort((a, b) => {
-    const costA = a.data7Days ? a.data7Days.cost : (a.data14Days ? a.data14Days.cost : (a.data30Days ? a.data30Days.cost : 0));
-    const costB = b.data7Days ? b.data7Days.cost : (b.data14Days ? b.data14Days.cost : (b.data30Days ? b.data30Days.cost : 0));
-    return costB - costA;
+    if (SORT_KEYWORDS_BY === 'CHANGE' && b.changeScore !== a.changeScore) {
+      return b.changeScore - a.changeScore;
+    }
+    return sortCost(b) - sortCost(a);
   });
   
   return allKeywords;
 }
 
+// 'new' - traffic in the window and none in the baseline
+// 'lost' - enough clicks in the baseline and no traffic in the window
+// 'active' - traffic in both; 'none' - below the click threshold in the window
+function getKeywordStatus(data) {
+  if (data.current) {
+    return data.previous ? 'active' : 'new';
+  }
+  return data.lost ? 'lost' : 'none';
+}
+
+// Percentage change and significance of cost, conversions and CPA for one period.
+// The windows can differ in length, so cost is tested as mean daily spend (Welch
+// t-test over the days), conversions as Poisson counts per day and CPA as cost per
+// conversion with its variance from the daily values. A null p-value means the
+// change couldn't be tested (e.g. a one-day window) and isn't significant.
+function compareKeywordPeriods(data, period) {
+  if (data.status === 'none') {
+    return null;
+  }
+  
+  const currentDays = daysBetween(period.current.start, period.current.end) + 1;
+  const previousDays = daysBetween(period.previous.start, period.previous.end) + 1;
+  const empty = days => ({
+    impressions: 0, clicks: 0, cost: 0, conversions: 0, cpa: 0,
+    dailyCost: new Array(days).fill(0),
+    dailyConversions: new Array(days).fill(0)
+  });
+  const current = data.current || empty(currentDays);
+  const previous = data.previous || empty(previousDays);
+  
+  const describe = (currentValue, previousValue, pValue) => ({
+    change: calculatePercentageChange(currentValue, previousValue),
+    current: currentValue,
+    previous: previousValue,
+    pValue: pValue,
+    significant: pValue !== null && pValue < CHANGE_SIGNIFICANCE_LEVEL
+  });
+  
+  const changes = {
+    cost: describe(current.cost, previous.cost,
+      welchTTest(dailyMeanEstimate(current.dailyCost), dailyMeanEstimate(previous.dailyCost))),
+    conversions: describe(current.conversions, previous.conversions,
+      poissonRateTest(current.conversions, currentDays, previous.conversions, previousDays)),
+    cpa: null
+  };
+  
+  // CPA only exists when both periods converted
+  if (current.conversions > 0 && previous.conversions > 0) {
+    changes.cpa = describe(current.cpa, previous.cpa,
+      welchTTest(dailyRatioEstimate(current.dailyCost, current.dailyConversions),
+                 dailyRatioEstimate(previous.dailyCost, previous.dailyConversions)));
+  }
+  
+  return changes;
+}
+
+// Sum of the absolute significant changes (capped at 500%); changes within the
+// noise don't count. New and lost keywords count as a 100% change.
+function calculateChangeScore(changes) {
+  if (!changes) {
+    return 0;
+  }
+  
+  return ['cost', 'conversions', 'cpa'].reduce((score, metric) => {
+    const change = changes[metric];
+    if (!change) {
+      return score;
+    }
+    let magnitude;
+    if (change.change === null) {
+      magnitude = change.current > 0 || change.previous > 0 ? 1 : 0;
+    } else {
+      magnitude = Math.min(Math.abs(change.change), 500) / 100;
+    }
+    return change.significant ? score + magnitude : score;
+  }, 0);
+}
+
+// Percentage change, or null when there is no previous value to compare with
 function calculatePercentageChange(current, previous) {
   if (previous === 0) {
-    return current > 0 ? 999 : 0;  // 999 means infinite increase
+    return null;
   }
   return ((current - previous) / previous) * 100;
 }
 
+function countPeriodChanges(allKeywords, period) {
+  const counts = { newKeywords: 0, lostKeywords: 0, significantChanges: 0 };
+  
+  allKeywords.forEach(kw => {
+    const data = kw.periods[period.key];
+    if (data.status === 'new') {
+      counts.newKeywords++;
+    } else if (data.status === 'lost') {
+      counts.lostKeywords++;
+    } else if (data.status === 'active' && ['cost', 'conversions', 'cpa'].some(metric => data.changes[metric] && data.changes[metric].significant)) {
+      counts.significantChanges++;
+    }
+  });
+  
+  return counts;
+}
+
+// ============================================================================
+// SIGNIFICANCE TESTS
+// ============================================================================
+
+// Mean of a keyword's daily values and the variance of that mean
+function dailyMeanEstimate(values) {
+  const days = values.length;
+  const mean = values.reduce((sum, value) => sum + value, 0) / days;
+  const sumOfSquares = values.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0);
+  return { value: mean, variance: days > 1 ? sumOfSquares / (days - 1) / days : 0, days: days };
+}
+
+// Ratio of two daily series (cost per conversion) and the variance of that ratio
+// from the per-day residuals value - ratio * base (delta method, days as units)
+function dailyRatioEstimate(values, bases) {
+  const days = values.length;
+  const totalValue = values.reduce((sum, value) => sum + value, 0);
+  const totalBase = bases.reduce((sum, base) => sum + base, 0);
+  const ratio = totalValue / totalBase;
+  const sumOfSquares = values.reduce((sum, value, i) => sum + Math.pow(value - ratio * bases[i], 2), 0);
+  return {
+    value: ratio,
+    variance: days > 1 ? days / (days - 1) * sumOfSquares / (totalBase * totalBase) : 0,
+    days: days
+  };
+}
+
+// Two-sided Welch t-test of the difference between two estimates, with
+// Welch-Satterthwaite degrees of freedom. Null when either has fewer than 2 days.
+function welchTTest(estimate1, estimate2) {
+  if (estimate1.days < 2 || estimate2.days < 2) {
+    return null;
+  }
+  const variance = estimate1.variance + estimate2.variance;
+  if (variance === 0) {
+    return estimate1.value === estimate2.value ? 1 : 0;
+  }
+  const t = (estimate1.value - estimate2.value) / Math.sqrt(variance);
+  const degreesOfFreedom = variance * variance /
+    (Math.pow(estimate1.variance, 2) / (estimate1.days - 1) + Math.pow(estimate2.variance, 2) / (estimate2.days - 1));
+  return studentTTwoSidedPValue(t, degreesOfFreedom);
+}
+
+// Two-sided p-value of Student's t distribution: I_x(df / 2, 1 / 2) with x = df / (df + t^2)
+function studentTTwoSidedPValue(t, degreesOfFreedom) {
+  return Math.min(1, incompleteBeta(degreesOfFreedom / (degreesOfFreedom + t * t), degreesOfFreedom / 2, 0.5));
+}
+
+// Regularized incomplete beta function I_x(a, b), from its continued fraction
+function incompleteBeta(x, a, b) {
+  if (x <= 0) {
+    return 0;
+  }
+  if (x >= 1) {
+    return 1;
+  }
+  const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+  // The fraction converges quickly on this side of the mean; use the symmetry otherwise
+  if (x < (a + 1) / (a + b + 2)) {
+    return front * betaContinuedFraction(x, a, b) / a;
+  }
+  return 1 - front * betaContinuedFraction(1 - x, b, a) / b;
+}
+
+// Lentz's evaluation of the continued fraction of the incomplete beta function
+function betaContinuedFraction(x, a, b) {
+  const tiny = 1e-30;
+  const clamp = value => (Math.abs(value) < tiny ? tiny : value);
+  let c = 1;
+  let d = 1 / clamp(1 - (a + b) * x / (a + 1));
+  let result = d;
+  for (let m = 1; m <= 200; m++) {
+    const evenTerm = m * (b - m) * x / ((a + 2 * m - 1) * (a + 2 * m));
+    d = 1 / clamp(1 + evenTerm * d);
+    c = clamp(1 + evenTerm / c);
+    result *= d * c;
+    
+    const oddTerm = -(a + m) * (a + b + m) * x / ((a + 2 * m) * (a + 2 * m + 1));
+    d = 1 / clamp(1 + oddTerm * d);
+    c = clamp(1 + oddTerm / c);
+    const delta = d * c;
+    result *= delta;
+    if (Math.abs(delta - 1) < 1e-10) {
+      break;
+    }
+  }
+  return result;
+}
+
+// Two-sided test of whether two Poisson counts come from the same rate, given
+// the exposure (days, clicks) of each. Conditional on the total count, the first
+// count is binomial with p = exposure1 / (exposure1 + exposure2).
+function poissonRateTest(count1, exposure1, count2, exposure2) {
+  const x = Math.round(count1);
+  const n = x + Math.round(count2);
+  if (n === 0 || exposure1 <= 0 || exposure2 <= 0) {
+    return 1;
+  }
+  return binomialTwoSidedPValue(x, n, exposure1 / (exposure1 + exposure2));
+}
+
+// Exact two-sided binomial p-value (sum of outcomes no more likely than x), with
+// a continuity-corrected normal approximation for large counts
+function binomialTwoSidedPValue(x, n, p) {
+  if (n > 1000) {
+    const mean = n * p;
+    const sd = Math.sqrt(n * p * (1 - p));
+    const z = Math.max(0, Math.abs(x - mean) - 0.5) / sd;
+    return Math.min(1, 2 * (1 - normalCdf(z)));
+  }
+  
+  const logPmf = k => logGamma(n + 1) - logGamma(k + 1) - logGamma(n - k + 1) + k * Math.log(p) + (n - k) * Math.log(1 - p);
+  const observed = logPmf(x);
+  let pValue = 0;
+  for (let k = 0; k <= n; k++) {
+    const logProbability = logPmf(k);
+    if (logProbability <= observed + 1e-7) {
+      pValue += Math.exp(logProbability);
+    }
+  }
+  return Math.min(1, pValue);
+}
+
+// Lanczos approximation of log(Gamma(x))
+function logGamma(x) {
+  const coefficients = [676.5203681218851, -1259.1392167224028, 771.32342877765313,
+    -176.61502916214059, 12.507343278686905, -0.13857109526572012,
+    9.9843695780195716e-6, 1.5056327351493116e-7];
+  if (x < 0.5) {
+    return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+  }
+  x -= 1;
+  let sum = 0.99999999999980993;
+  for (let i = 0; i < coefficients.length; i++) {
+    sum += coefficients[i] / (x + i + 1);
+  }
+  const t = x + coefficients.length - 0.5;
+  return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(sum);
+}
+
+// Standard normal CDF (Abramowitz and Stegun 26.2.17)
+function normalCdf(z) {
+  const t = 1 / (1 + 0.2316419 * Math.abs(z));
+  const density = Math.exp(-z * z / 2) / Math.sqrt(2 * Math.PI);
+  const tail = density * t * (0.319381530 + t * (-0.356563782 + t * (1.781477937 + t * (-1.821255978 + t * 1.330274429))));
+  return z >= 0 ? 1 - tail : tail;
+}
+
+// ============================================================================
+// ANOMALY DETECTION
+// ============================================================================
+
+// Compares each keyword's spend on spendDate, and its conversions and CPA on
+// conversionDate (once its conversions are reported), with its daily history over
+// ANOMALY_LOOKBACK_DAYS before that date (from its first day with traffic).
+// Days without a row count as zero.
+function detectKeywordAnomalies(keywordSeries, spendDate, conversionDate) {
+  const anomalies = [];
+  
+  keywordSeries.forEach(series => {
+    const flag = (type, unit, date, actual, value, baseline, z) => {
+      anomalies.push({
+        campaignName: series.campaignName,
+        adGroupName: series.adGroupName,
+        keywordText: series.keywordText,
+        matchType: series.matchType,
+        type: type,
+        unit: unit,
+        date: date,
+        actual: value,
+        actualCost: actual.cost,
+        expected: baseline.median,
+        expectedLow: Math.max(0, baseline.median - ANOMALY_THRESHOLD * baseline.scale),
+        expectedHigh: baseline.median + ANOMALY_THRESHOLD * baseline.scale,
+        zScore: z
+      });
+    };
+    
+    // Spend spike; counts are Poisson, so the spread is at least cost / sqrt(clicks)
+    const spendHistory = getAnomalyHistory(series, spendDate);
+    if (spendHistory) {
+      const actual = getDailyValues(series.days[spendDate]);
+      const costs = spendHistory.map(day => day.cost);
+      const medianClicks = median(spendHistory.map(day => day.clicks));
+      const costBaseline = robustBaseline(costs, median(costs) / Math.sqrt(Math.max(medianClicks, 1)));
+      const costZ = robustZScore(actual.cost, costBaseline);
+      if (costZ > ANOMALY_THRESHOLD && actual.cost >= ANOMALY_MIN_COST) {
+        flag('Spend spike', 'currency', spendDate, actual, actual.cost, costBaseline, costZ);
+      }
+    }
+    
+    const conversionHistory = getAnomalyHistory(series, conversionDate);
+    if (!conversionHistory) {
+      return;
+    }
+    const actual = getDailyValues(series.days[conversionDate]);
+    
+    // Conversion drop; conversions are Poisson, so the spread is at least sqrt(median)
+    const conversions = conversionHistory.map(day => day.conversions);
+    const conversionBaseline = robustBaseline(conversions, Math.sqrt(median(conversions)));
+    const conversionZ = robustZScore(actual.conversions, conversionBaseline);
+    if (conversionZ < -ANOMALY_THRESHOLD) {
+      flag('Conversion drop', 'count', conversionDate, actual, actual.conversions, conversionBaseline, conversionZ);
+    }
+    
+    // CPA blow-up, judged against the CPA of the days that converted. A day
+    // without conversions counts when its spend alone is above the CPA range.
+    const cpas = conversionHistory.filter(day => day.conversions > 0).map(day => day.cost / day.conversions);
+    if (cpas.length >= ANOMALY_MIN_HISTORY_DAYS && actual.cost >= ANOMALY_MIN_COST) {
+      const cpaBaseline = robustBaseline(cpas, 0);
+      const actualCpa = actual.conversions > 0 ? actual.cost / actual.conversions : null;
+      const cpaZ = robustZScore(actualCpa === null ? actual.cost : actualCpa, cpaBaseline);
+      if (cpaZ > ANOMALY_THRESHOLD) {
+        flag('CPA blow-up', 'cpa', conversionDate, actual, actualCpa, cpaBaseline, cpaZ);
+      }
+    }
+  });
+  
+  // Most extreme first
+  anomalies.sort((a, b) => Math.abs(b.zScore) - Math.abs(a.zScore));
+  return anomalies;
+}
+
+// Daily values of a keyword over ANOMALY_LOOKBACK_DAYS before the given date (same
+// weekday only with the WEEKDAY method), or null with too little history to judge it
+function getAnomalyHistory(series, date) {
+  const historyStart = shiftDate(date, -ANOMALY_LOOKBACK_DAYS);
+  const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+  const firstDate = Object.keys(series.days).filter(day => day >= historyStart && day < date).sort()[0];
+  if (!firstDate) {
+    return null;
+  }
+  
+  const history = [];
+  for (let day = firstDate; day < date; day = shiftDate(day, 1)) {
+    if (ANOMALY_METHOD === 'WEEKDAY' && new Date(`${day}T00:00:00Z`).getUTCDay() !== weekday) {
+      continue;
+    }
+    history.push(getDailyValues(series.days[day]));
+  }
+  return history.length < ANOMALY_MIN_HISTORY_DAYS ? null : history;
+}
+
+function getDailyValues(day) {
+  if (!day) {
+    return { clicks: 0, cost: 0, conversions: 0 };
+  }
+  return {
+    clicks: day.clicks,
+    cost: day.costMicros / 1000000 / AED_TO_USD,
+    conversions: day.conversions
+  };
+}
+
+// Median and robust spread (1.4826 * median absolute deviation) of a series,
+// falling back to the mean absolute deviation when more than half the days are equal.
+// The spread is at least minScale (e.g. the Poisson noise of the counts behind it).
+function robustBaseline(values, minScale) {
+  const center = median(values);
+  let scale = 1.4826 * median(values.map(value => Math.abs(value - center)));
+  if (scale === 0) {
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+    scale = 1.2533 * values.reduce((sum, value) => sum + Math.abs(value - mean), 0) / values.length;
+  }
+  return { median: center, scale: Math.max(scale, minScale) };
+}
+
+function robustZScore(value, baseline) {
+  if (baseline.scale === 0) {
+    return 0;
+  }
+  return (value - baseline.median) / baseline.scale;
+}
+
+function median(values) {
+  if (values.length === 0) {
+    return 0;
+  }
+  const sorted = values.slice().sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function formatAnomalyValue(anomaly, value) {
+  if (value === null) {
+    return `no conversions ($${anomaly.actualCost.toFixed(2)} spent)`;
+  }
+  return anomaly.unit === 'count' ? value.toFixed(1) : `$${value.toFixed(2)}`;
+}
+
 // ============================================================================
 // SUMMARY CALCULATIONS
 // ============================================================================
@@ -551,7 +1090,8 @@ function sendGmailReport(data) {
   }
   
   try {
-    const subject = `📊 Keywords Performance Report - ${data.allKeywords.length} Keywords`;
+    const subject = `📊 Keywords Performance Report - ${data.allKeywords.length} Keywords` +
+                    (data.anomalies.length > 0 ? ` - 🚨 ${data.anomalies.length} Anomalies` : '');
     
     // Limit keywords in email to top N (sorted by cost)
     const keywordsToShow = data.allKeywords.slice(0, MAX_KEYWORDS_IN_EMAIL);
@@ -586,76 +1126,92 @@ function sendGmailReport(data) {
         <div class="container">
           <div class="header">
             <h2 style="margin: 0; color: white;">📊 Keywords Performance Report</h2>
-            <p style="margin: 5px 0 0 0; color: white;">Cost, Conversions & CPA Analysis (7, 14, 30 Days)</p>
+            <p style="margin: 5px 0 0 0; color: white;">Cost, Conversions & CPA Analysis (${describeReportPeriods()})</p>
+            <p style="margin: 5px 0 0 0; color: white; font-size: 13px;">Baseline: ${describeBaseline()}</p>
           </div>
           
           <div class="summary-box">
             <h3 style="margin-top: 0; color: #4285f4;">📈 Summary by Period</h3>
             
+            ${data.periods.map(period => `
             <div class="period-summary">
-              <strong>📅 Last 7 Days</strong><br>
-              <div class="metric">
-                <span class="metric-label">Keywords</span>
-                <span class="metric-value">${data.summary7Days.totalKeywords}</span>
-              </div>
-              <div class="metric">
-                <span class="metric-label">Cost</span>
-                <span class="metric-value">$${data.summary7Days.totalCost.toFixed(2)}</span>
-              </div>
-              <div class="metric">
-                <span class="metric-label">Conversions</span>
-                <span class="metric-value">${data.summary7Days.totalConversions.toFixed(1)}</span>
-              </div>
-              <div class="metric">
-                <span class="metric-label">Avg CPA</span>
-                <span class="metric-value">$${data.summary7Days.avgCPA.toFixed(2)}</span>
-              </div>
-            </div>
-            
-            <div class="period-summary">
-              <strong>📅 Last 14 Days</strong><br>
-              <div class="metric">
-                <span class="metric-label">Keywords</span>
-                <span class="metric-value">${data.summary14Days.totalKeywords}</span>
-              </div>
-              <div class="metric">
-                <span class="metric-label">Cost</span>
-                <span class="metric-value">$${data.summary14Days.totalCost.toFixed(2)}</span>
-              </div>
-              <div class="metric">
-                <span class="metric-label">Conversions</span>
-                <span class="metric-value">${data.summary14Days.totalConversions.toFixed(1)}</span>
-              </div>
-              <div class="metric">
-                <span class="metric-label">Avg CPA</span>
-                <span class="metric-value">$${data.summary14Days.avgCPA.toFixed(2)}</span>
-              </div>
-            </div>
-            
-            <div class="period-summary">
-              <strong>📅 Last 30 Days</strong><br>
+              <strong>📅 ${period.label}</strong>
+              <span style="font-size: 11px; color: #666;">(${formatDateRange(period.current)} vs ${formatDateRange(period.previous)})</span><br>
               <div class="metric">
                 <span class="metric-label">Keywords</span>
-                <span class="metric-value">${data.summary30Days.totalKeywords}</span>
+                <span class="metric-value">${period.summary.totalKeywords}</span>
               </div>
               <div class="metric">
                 <span class="metric-label">Cost</span>
-                <span class="metric-value">$${data.summary30Days.totalCost.toFixed(2)}</span>
+                <span class="metric-value">$${period.summary.totalCost.toFixed(2)}</span>
               </div>
               <div class="metric">
                 <span class="metric-label">Conversions</span>
-                <span class="metric-value">${data.summary30Days.totalConversions.toFixed(1)}</span>
+                <span class="metric-value">${period.summary.totalConversions.toFixed(1)}</span>
               </div>
               <div class="metric">
                 <span class="metric-label">Avg CPA</span>
-                <span class="metric-value">$${data.summary30Days.avgCPA.toFixed(2)}</span>
+                <span class="metric-value">$${period.summary.avgCPA.toFixed(2)}</span>
               </div>
+              <br>
+              <span style="font-size: 12px; color: #666;">
+                New: ${period.changeCounts.newKeywords} &middot;
+                Lost: ${period.changeCounts.lostKeywords} &middot;
+                Keywords with significant changes: ${period.changeCounts.significantChanges}
+              </span>
             </div>
+            `).join('')}
           </div>
           
+          ${ANOMALY_DETECTION ? `
+          <h3 style="color: #d93025;">🚨 Daily Anomalies</h3>
+          <p style="font-size: 13px; color: #666;">
+            Spend on ${data.anomalyDate}, and conversions and CPA on ${data.conversionAnomalyDate}${ANOMALY_CONVERSION_LAG_DAYS > 0
+              ? ` (${ANOMALY_CONVERSION_LAG_DAYS} days earlier, as recent conversions are still being reported)` : ''},
+            compared with each keyword's previous ${ANOMALY_LOOKBACK_DAYS} days${ANOMALY_METHOD === 'WEEKDAY' ? ' (same weekday only)' : ''}.
+            The expected range is the median &plusmn; ${ANOMALY_THRESHOLD} robust standard deviations.
+          </p>
+          ${data.anomalies.length === 0 ? `
+          <p style="font-size: 13px; color: #0f9d58;">✅ No spend spikes, conversion drops or CPA blow-ups detected.</p>
+          ` : `
+          <div style="overflow-x: auto;">
+            <table>
+              <thead>
+                <tr>
+                  <th>Campaign</th>
+                  <th>Ad Group</th>
+                  <th>Keyword</th>
+                  <th>Match Type</th>
+                  <th>Anomaly</th>
+                  <th>Date</th>
+                  <th>Actual</th>
+                  <th>Expected Range</th>
+                  <th>Robust Z</th>
+                </tr>
+              </thead>
+              <tbody>
+                ${data.anomalies.map(anomaly => `
+                <tr>
+                  <td>${anomaly.campaignName}</td>
+                  <td>${anomaly.adGroupName}</td>
+                  <td>${anomaly.keywordText}</td>
+                  <td>${anomaly.matchType}</td>
+                  <td style="color: #d93025; font-weight: bold;">${anomaly.type}</td>
+                  <td>${anomaly.date}</td>
+                  <td>${formatAnomalyValue(anomaly, anomaly.actual)}</td>
+                  <td>${formatAnomalyValue(anomaly, anomaly.expectedLow)} - ${formatAnomalyValue(anomaly, anomaly.expectedHigh)}</td>
+                  <td>${anomaly.zScore.toFixed(1)}</td>
+                </tr>
+                `).join('')}
+              </tbody>
+            </table>
+          </div>
+          `}
+          ` : ''}
+          
           <h3 style="color: #4285f4;">📋 Keywords Performance Details</h3>
           <p style="font-size: 13px; color: #666;">
-            Showing top ${keywordsToShow.length} keywords sorted by highest cost (last 7 days). 
+            Showing top ${keywordsToShow.length} keywords sorted by ${SORT_KEYWORDS_BY === 'CHANGE' ? 'change magnitude weighted by significance' : `highest cost (${data.periods[0].label.toLowerCase()})`}. 
             ${data.allKeywords.length > MAX_KEYWORDS_IN_EMAIL ? `Total found: ${data.allKeywords.length} keywords.` : ''}
           </p>
           <div style="overflow-x: auto;">
@@ -666,73 +1222,77 @@ function sendGmailReport(data) {
                   <th>Ad Group</th>
                   <th>Keyword</th>
                   <th>Match Type</th>
-                  <th>Cost (7d)</th>
-                  <th>Conv (7d)</th>
-                  <th>CPA (7d)</th>
-                  <th>Cost (14d)</th>
-                  <th>Conv (14d)</th>
-                  <th>CPA (14d)</th>
-                  <th>Cost (30d)</th>
-                  <th>Conv (30d)</th>
-                  <th>CPA (30d)</th>
+                  ${data.periods.map(period => `
+                  <th>Cost (${period.shortLabel})</th>
+                  <th>Conv (${period.shortLabel})</th>
+                  <th>CPA (${period.shortLabel})</th>
+                  `).join('')}
                 </tr>
               </thead>
               <tbody>
                 ${keywordsToShow.map(kw => {
-                  // Helper function to format value with percentage change
+                  // Helper function to format value with percentage change. Significant
+                  // changes are colored; changes within the noise are grey and marked ~
                   const formatWithChange = (value, change, isGoodWhenNegative = true, prefix = '', suffix = '') => {
                     if (!value && value !== 0) return '-';
                     
                     let changeStr = '';
-                    if (change !== null && change !== undefined && change !== 0) {
-                      if (change === 999) {
-                        changeStr = ' <span style="color: #0f9d58; font-size: 10px;">(NEW)</span>';
-                      } else {
+                    if (change && change.change === null && change.previous === 0 && change.current > 0) {
+                      // Nothing to take a percentage of, so show where it came from
+                      const color = change.significant
+                        ? (isGoodWhenNegative ? '#d93025' : '#0f9d58')
+                        : '#999';
+                      changeStr = ` <span style="color: ${color}; font-size: 10px; font-weight: ${change.significant ? 'bold' : 'normal'};">(${change.significant ? '' : '~'}from 0)</span>`;
+                    } else if (change && change.change !== null && Math.round(change.change) !== 0) {
+                      const sign = change.change > 0 ? '+' : '';
+                      if (change.significant) {
                         // For cost and CPA: negative is good (green), positive is bad (red)
                         // For conversions: positive is good (green), negative is bad (red)
                         const color = isGoodWhenNegative 
-                          ? (change > 0 ? '#d93025' : '#0f9d58')
-                          : (change > 0 ? '#0f9d58' : '#d93025');
-                        const sign = change > 0 ? '+' : '';
-                        changeStr = ` <span style="color: ${color}; font-size: 10px;">(${sign}${change.toFixed(0)}%)</span>`;
+                          ? (change.change > 0 ? '#d93025' : '#0f9d58')
+                          : (change.change > 0 ? '#0f9d58' : '#d93025');
+                        changeStr = ` <span style="color: ${color}; font-size: 10px; font-weight: bold;">(${sign}${change.change.toFixed(0)}%)</span>`;
+                      } else {
+                        changeStr = ` <span style="color: #999; font-size: 10px; font-weight: normal;">(~${sign}${change.change.toFixed(0)}%)</span>`;
                       }
                     }
                     
                     return `${prefix}${value}${suffix}${changeStr}`;
                   };
                   
-                  // Format Cost with change
-                  const cost7d = kw.data7Days 
-                    ? formatWithChange(kw.data7Days.cost.toFixed(2), kw.costChange7d, true, '$', '')
-                    : '-';
-                  const cost14d = kw.data14Days 
-                    ? formatWithChange(kw.data14Days.cost.toFixed(2), kw.costChange14d, true, '$', '')
-                    : '-';
-                  const cost30d = kw.data30Days 
-                    ? formatWithChange(kw.data30Days.cost.toFixed(2), kw.costChange30d, true, '$', '')
-                    : '-';
-                  
-                  // Format Conversions with change
-                  const conv7d = kw.data7Days 
-                    ? formatWithChange(kw.data7Days.conversions.toFixed(1), kw.convChange7d, false, '', '')
-                    : '-';
-                  const conv14d = kw.data14Days 
-                    ? formatWithChange(kw.data14Days.conversions.toFixed(1), kw.convChange14d, false, '', '')
-                    : '-';
-                  const conv30d = kw.data30Days 
-                    ? formatWithChange(kw.data30Days.conversions.toFixed(1), kw.convChange30d, false, '', '')
-                    : '-';
-                  
-                  // Format CPA with change
-                  const cpa7d = kw.data7Days && kw.data7Days.conversions > 0
-                    ? formatWithChange(kw.data7Days.cpa.toFixed(2), kw.cpaChange7d, true, '$', '')
-                    : (kw.data7Days ? 'N/A' : '-');
-                  const cpa14d = kw.data14Days && kw.data14Days.conversions > 0
-                    ? formatWithChange(kw.data14Days.cpa.toFixed(2), kw.cpaChange14d, true, '$', '')
-                    : (kw.data14Days ? 'N/A' : '-');
-                  const cpa30d = kw.data30Days && kw.data30Days.conversions > 0
-                    ? formatWithChange(kw.data30Days.cpa.toFixed(2), kw.cpaChange30d, true, '$', '')
-                    : (kw.data30Days ? 'N/A' : '-');
+                  // Format Cost, Conversions and CPA with change for every period
+                  const periodCells = data.periods.map(period => {
+                    const periodData = kw.periods[period.key];
+                    const current = periodData.current;
+                    const changes = periodData.changes;
+                    
+                    if (periodData.status === 'lost') {
+                      return `
+                    <td class="cost-cell"><span style="color: #d93025;">LOST</span> <span style="color: #999; font-size: 10px; font-weight: normal;">(was $${periodData.previous.cost.toFixed(2)})</span></td>
+                    <td class="conv-cell"><span style="color: #999; font-size: 10px; font-weight: normal;">(was ${periodData.previous.conversions.toFixed(1)})</span></td>
+                    <td class="cpa-cell">-</td>`;
+                    }
+                    
+                    const newLabel = periodData.status === 'new'
+                      ? ' <span style="color: #0f9d58; font-size: 10px;">(NEW)</span>'
+                      : '';
+                    // New keywords are labelled as such rather than as a change from 0
+                    const isNew = periodData.status === 'new';
+                    const cost = current
+                      ? formatWithChange(current.cost.toFixed(2), isNew ? null : changes.cost, true, '$', '') + newLabel
+                      : '-';
+                    const conv = current
+                      ? formatWithChange(current.conversions.toFixed(1), isNew ? null : changes.conversions, false, '', '')
+                      : '-';
+                    const cpa = current && current.conversions > 0
+                      ? formatWithChange(current.cpa.toFixed(2), changes.cpa, true, '$', '')
+                      : (current ? 'N/A' : '-');
+                    
+                    return `
+                    <td class="cost-cell">${cost}</td>
+                    <td class="conv-cell">${conv}</td>
+                    <td class="cpa-cell">${cpa}</td>`;
+                  }).join('');
                   
                   return `
                   <tr>
@@ -740,15 +1300,7 @@ function sendGmailReport(data) {
                     <td>${kw.adGroupName}</td>
                     <td>${kw.keywordText}</td>
                     <td>${kw.matchType}</td>
-                    <td class="cost-cell">${cost7d}</td>
-                    <td class="conv-cell">${conv7d}</td>
-                    <td class="cpa-cell">${cpa7d}</td>
-                    <td class="cost-cell">${cost14d}</td>
-                    <td class="conv-cell">${conv14d}</td>
-                    <td class="cpa-cell">${cpa14d}</td>
-                    <td class="cost-cell">${cost30d}</td>
-                    <td class="conv-cell">${conv30d}</td>
-                    <td class="cpa-cell">${cpa30d}</td>
+                    ${periodCells}
                   </tr>
                 `;
                 }).join('')}
@@ -768,7 +1320,10 @@ function sendGmailReport(data) {
               <li><strong>Green (Conversions):</strong> See which keywords are converting</li>
               <li><strong>CPA:</strong> Compare cost per acquisition across time periods</li>
               <li><strong>N/A CPA:</strong> Keywords with 0 conversions (consider pausing)</li>
-              <li><strong>Sorted by Cost:</strong> Highest cost keywords appear first</li>
+              <li><strong>Colored changes:</strong> Statistically significant (p &lt; ${CHANGE_SIGNIFICANCE_LEVEL}) based on daily spend, conversion counts and daily cost per conversion</li>
+              <li><strong>Grey changes (~):</strong> Within normal noise for that volume - e.g. 1 to 2 conversions</li>
+              <li><strong>NEW / LOST:</strong> Keywords with no traffic in the baseline, or none in the window after having traffic in the baseline</li>
+              <li><strong>${SORT_KEYWORDS_BY === 'CHANGE' ? 'Sorted by Change' : 'Sorted by Cost'}:</strong> ${SORT_KEYWORDS_BY === 'CHANGE' ? 'Largest significant changes appear first' : 'Highest cost keywords appear first'}</li>
             </ul>
           </div>
           
@@ -778,7 +1333,8 @@ function sendGmailReport(data) {
             <p style="margin: 5px 0;">
               <strong>Report Details:</strong><br>
               Generated by: Google Ads Scripts<br>
-              Report Type: Keywords Performance (7, 14, 30 Days)<br>
+              Report Type: Keywords Performance (${describeReportPeriods()})<br>
+              Baseline: ${describeBaseline()}<br>
               Generated on: ${new Date().toLocaleString('en-US', { 
                 weekday: 'long', 
                 year: 'numeric', 
@@ -816,28 +1372,23 @@ function sendGmailReport(data) {
 // DISPLAY SUMMARY
 // ============================================================================
 
-function displaySummary(summary7Days, summary14Days, summary30Days, totalUniqueKeywords) {
+function displaySummary(periods, totalUniqueKeywords, anomalies) {
   Logger.log('\n📊 FINAL SUMMARY:');
   Logger.log('='.repeat(70));
-  Logger.log('Last 7 Days:');
-  Logger.log(`  Keywords: ${summary7Days.totalKeywords.toLocaleString()}`);
-  Logger.log(`  Cost: $${summary7Days.totalCost.toFixed(2)}`);
-  Logger.log(`  Conversions: ${summary7Days.totalConversions.toFixed(1)}`);
-  Logger.log(`  Avg CPA: $${summary7Days.avgCPA.toFixed(2)}`);
-  Logger.log('');
-  Logger.log('Last 14 Days:');
-  Logger.log(`  Keywords: ${summary14Days.totalKeywords.toLocaleString()}`);
-  Logger.log(`  Cost: $${summary14Days.totalCost.toFixed(2)}`);
-  Logger.log(`  Conversions: ${summary14Days.totalConversions.toFixed(1)}`);
-  Logger.log(`  Avg CPA: $${summary14Days.avgCPA.toFixed(2)}`);
-  Logger.log('');
-  Logger.log('Last 30 Days:');
-  Logger.log(`  Keywords: ${summary30Days.totalKeywords.toLocaleString()}`);
-  Logger.log(`  Cost: $${summary30Days.totalCost.toFixed(2)}`);
-  Logger.log(`  Conversions: ${summary30Days.totalConversions.toFixed(1)}`);
-  Logger.log(`  Avg CPA: $${summary30Days.avgCPA.toFixed(2)}`);
-  Logger.log('');
+  periods.forEach(period => {
+    Logger.log(`${period.label} (${formatDateRange(period.current)}):`);
+    Logger.log(`  Keywords: ${period.summary.totalKeywords.toLocaleString()}`);
+    Logger.log(`  Cost: $${period.summary.totalCost.toFixed(2)}`);
+    Logger.log(`  Conversions: ${period.summary.totalConversions.toFixed(1)}`);
+    Logger.log(`  Avg CPA: $${period.summary.avgCPA.toFixed(2)}`);
+    Logger.log(`  New: ${period.changeCounts.newKeywords}, Lost: ${period.changeCounts.lostKeywords}, ` +
+               `Significant changes: ${period.changeCounts.significantChanges}`);
+    Logger.log('');
+  });
   Logger.log(`📋 Total Unique Keywords: ${totalUniqueKeywords}`);
+  if (ANOMALY_DETECTION) {
+    Logger.log(`🚨 Anomalies: ${anomalies.length}`);
+  }
   Logger.log('='.repeat(70));
 }
 
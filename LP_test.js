@@ -12,29 +12,106 @@ function main() {
     // Minimum number of impressions required for an ad to be included
     minImpressions: 50,
     
+    // Evaluation mode: "frequentist" (p-values), "bayesian" (probability to beat control)
+    // or "sequential" (always-valid p-values tracked across daily runs)
+    mode: "frequentist",
+    
     // Significance level (alpha) - 0.05 = 95% confidence level
     significanceLevel: 0.05,
     
-    // Metric weights for composite score (must add up to 1.0)
+    // Multiple-comparison correction for the primary metric p-values:
+    // "none", "bonferroni", "holm" or "benjamini-hochberg"
+    multipleComparisonCorrection: "none",
+    
+    // Family of tests the correction is applied over: "adGroup" (each ad group's test ads)
+    // or "run" (every test ad in this run)
+    correctionScope: "adGroup",
+    
+    // Power target used for the minimum detectable effect and time-to-significance estimates
+    targetPower: 0.8,
+    
+    // Recent window used for each pair's daily traffic rate, a predefined range such as "LAST_7_DAYS",
+    // "LAST_30_DAYS" or "LAST_MONTH" (ALL_TIME has no known length, so no time estimate is made)
+    recentRateDateRange: "LAST_7_DAYS",
+    
+    // Sequential mode settings: state tab in the results spreadsheet, the relative lift
+    // the mixture boundary is tuned for, and the days after which a test that never
+    // crossed the boundary is called futile.
+    // This mode needs dateRange "ALL_TIME" so each run sees cumulative counts, and a
+    // spreadsheetUrl so the state tab is read back on the next run.
+    sequentialStateSheetName: "Sequential Test State",
+    sequentialExpectedLift: 0.1,
+    sequentialMaxDays: 60,
+    
+    // Bayesian mode settings (primaryMetricForSignificance must be "CTR" or "Conversions",
+    // the metrics with a posterior): Beta(alpha, beta) prior for CTR and conversion rate,
+    // number of posterior draws, credible interval width and the probability to beat
+    // (or lose to) the control needed to call a result
+    bayesianPrior: { alpha: 1, beta: 1 },
+    bayesianSamples: 10000,
+    credibleIntervalLevel: 0.95,
+    bayesianDecisionThreshold: 0.95,
+    
+    // Metric weights for composite score (must add up to 1.0). Available metrics:
+    // CTR, CPC, Conversions (conversion rate), CostPerConversion, CPA (same as
+    // CostPerConversion), ROAS, ConvValuePerClick (conversion value per click) and
+    // AOV (average order value: conversion value per conversion)
     metricWeights: {
       CTR: 0.4,       // 40% weight to Click-Through Rate
       CPC: 0.3,       // 30% weight to Cost Per Click (lower is better)
       Conversions: 0.3 // 30% weight to Conversion Rate
     },
     
-    // Whether higher is better for each metric (true) or lower is better (false)
+    // Whether higher is better for each metric (true) or lower is better (false).
+    // Metrics left out use their natural direction (lower is better for costs).
     metricDirection: {
       CTR: true,       // Higher CTR is better
       CPC: false,      // Lower CPC is better
-      Conversions: true // Higher conversion rate is better
+      Conversions: true, // Higher conversion rate is better
+      CostPerConversion: false, // Lower cost per conversion is better
+      CPA: false,      // Lower CPA is better
+      ROAS: true,      // Higher return on ad spend is better
+      ConvValuePerClick: true, // Higher conversion value per click is better
+      AOV: true        // Higher average order value is better
     },
     
-    // Primary metric for significance testing
+    // Primary metric for significance testing: "CTR", "CPC", "Conversions", "CostPerConversion"
+    // (or "CPA"), "ConvValuePerClick", "ROAS" or "AOV"
     primaryMetricForSignificance: "CTR", 
     
+    // Revenue is heavily skewed, so the value metrics (ConvValuePerClick, ROAS, AOV) are tested
+    // with a bootstrap over the compared days: this many resamples, and at least this many days
+    // with data (with fewer days no p-value is reported)
+    valueBootstrapSamples: 2000,
+    valueBootstrapMinDays: 7,
+    
+    // CPC and cost per conversion are tested with a variance estimated from the ads' per-day
+    // values, which needs at least this many compared days with data. With fewer days (or no
+    // daily data, e.g. experiments and assets) no p-value is reported for these metrics, and
+    // they and the value metrics score as no difference in the composite score.
+    meanTestMinDays: 7,
+    
+    // Largest combined sample (control + test) for which Fisher's exact test is used.
+    // Above this, a two-proportion z-test is used instead of exact summation.
+    exactTestMaxSampleSize: 20000,
+    
     // Control ad definition - use final URL to identify the control ad
     controlAdUrl: "https://www.wafeq.com/ar-sa/campaigns/wafeq",
     
+    // Control ad selection rules, checked in order. The first rule whose campaign and
+    // ad group filters match an ad group is used; ad groups no rule matches look for
+    // controlAdUrl in the final URL. Strategies:
+    //   "url"      - final URL contains value
+    //   "urlRegex" - final URL matches the regular expression in value
+    //   "label"    - ad has the label named in value
+    //   "adIds"    - ad ID is in the list in value
+    //   "lowestId" - the ad with the lowest ID (usually, but not always, the oldest ad)
+    // Ad groups where no ad matches are reported as "control not found" and not tested.
+    controlSelectionRules: [
+      // { campaignNameContains: "Brand", adGroupNameContains: "", strategy: "label", value: "LP Control" },
+      // { campaignNameContains: "", adGroupNameContains: "Pricing", strategy: "adIds", value: [123456789] }
+    ],
+    
     // Email to send the report to (optional)
     emailAddress: "",
     
@@ -44,6 +121,40 @@ function main() {
     // Google Sheet URL to output results (leave blank to create a new one)
     spreadsheetUrl: "",
     
+    // Optional test registry tab in the results spreadsheet. Each row defines a named test
+    // with the columns: Test Name, Active, Campaign Name Contains, Ad Group Name Contains,
+    // Control Strategy, Control Value, Metric Weights (e.g. "CTR=0.4, CPC=0.3, Conversions=0.3"),
+    // Date Range, Significance Level, Email Recipients. Blank cells use the values in this
+    // CONFIG. Every active test is run and written to its own tab, named after the test
+    // (so a test can't be named after the registry, state, change log, history or trends
+    // tabs). Needs spreadsheetUrl. Leave blank to run this CONFIG as a single test; a
+    // missing tab is created with this CONFIG as first row.
+    testRegistrySheetName: "",
+    
+    // Where the tests come from: "ads" (ads in the same ad group), "experiments" (native
+    // Google Ads campaign experiments, base arm vs. trial arms) or "both"
+    testSource: "ads",
+    
+    // Experiments source only: filter on the experiment name (optional)
+    experimentNameContains: "",
+    
+    // Comparison level: "ad" compares ads within each ad group, "landingPage" pools the
+    // traffic of every matching ad by final URL and compares each landing page with the
+    // control URL across all matching campaigns and ad groups, "asset" compares the pinned
+    // and new (learning or pending) headlines and descriptions of each responsive search
+    // ad with its pooled incumbent assets of the same type. Assets serve together in the
+    // same ads, so asset comparisons are descriptive only (no p-values or significance).
+    aggregationLevel: "ad",
+    
+    // Landing page mode only: strip tracking parameters (utm_*, gclid, ...) and fragments
+    // from final URLs before grouping
+    normalizeLandingPageUrls: true,
+    
+    // Optional segment breakdowns: re-run the significance and composite calculations per
+    // "device", "network" and/or "dayOfWeek" and flag segments whose result flips
+    // against the pooled result (leave empty to skip)
+    segmentBreakdowns: [],
+    
     // Filter for specific campaigns or ad groups (optional)
     campaignNameContains: "GL_WFQ_GA_SEM_AO_NBR_Gen_Web_All_KSA_AR_PRO_Conv_14032025_Accounting-Software",
     adGroupNameContains: "",
@@ -52,117 +163,318 @@ function main() {
     includeAllAdStatus: false,
     
     // Date range for the analysis (e.g., "LAST_30_DAYS", "LAST_7_DAYS", "YESTERDAY", "THIS_MONTH", "LAST_MONTH")
-    dateRange: "LAST_30_DAYS"
+    dateRange: "LAST_30_DAYS",
+    
+    // Sample ratio mismatch check: a chi-square test of each pair's impression split against
+    // the split the rotation setting should produce (even for "rotate indefinitely", the
+    // traffic split for experiments). Pairs below srmAlpha are flagged as untrustworthy,
+    // get no label or pause actions and, optionally, are left out of the summary counts.
+    // Ad groups with optimized rotation are skipped since Google skews serving on purpose.
+    sampleRatioCheck: true,
+    srmAlpha: 0.001,
+    excludeSrmFromSummary: false,
+    
+    // Compare each control/test pair only on the days both ads were serving, so an ad
+    // launched last week isn't measured against a month of control data
+    alignComparisonWindows: true,
+    
+    // Days skipped after a test or control ad launches inside the date range (0 = none)
+    burnInDays: 0,
+    
+    // Conversion lag adjustment for the conversion-based metrics (conversion rate, cost per
+    // conversion, ROAS, value per click). Clicks, impressions and cost are never adjusted.
+    //   "none"    - use conversions as reported
+    //   "exclude" - leave the last conversionLagDays days out of the conversion metrics
+    //   "curve"   - scale each recent day's conversions up by a lag curve estimated from the
+    //               account's conversions_by_conversion_date history over conversionLagDays
+    conversionLagMode: "none",
+    conversionLagDays: 7,
+    
+    // Actions on finished tests. A winner is a test ad with a significant result that is
+    // better on both the primary metric and the composite score, a loser one that is worse
+    // on both; when the two disagree no action is taken. Applying changes (actionsDryRun
+    // false) needs outputToSheet and spreadsheetUrl: the change log tab is how later runs
+    // know a change was already applied.
+    labelWinningAds: false,
+    winnerLabelName: "A/B Test Winner",
+    pauseLosingAds: false,
+    pauseControlWhenChallengerWins: false,
+    
+    // Only list the planned changes without applying them
+    actionsDryRun: true,
+    
+    // Maximum number of changes applied in a single run
+    maxChangesPerRun: 10,
+    
+    // Tab in the results spreadsheet where planned and applied changes are logged
+    changeLogSheetName: "A/B Test Change Log",
+    
+    // Long-format history tab with one row per test pair per run (cumulative counts,
+    // primary metric lift, p-value and composite score), and a trends tab with a line
+    // chart of lift and p-value over time for each pair in the latest run.
+    // Both need spreadsheetUrl (a new spreadsheet each run has no history to add to).
+    // Leave a name blank to skip that tab.
+    historySheetName: "A/B Test History",
+    trendsSheetName: "A/B Test Trends"
   };
   
-  // Run the A/B test
-  var results = runTest(CONFIG);
-  
-  // Log and share results
-  logResults(results, CONFIG);
-  if (CONFIG.emailAddress) {
-    emailResults(results, CONFIG);
-  }
-  if (CONFIG.outputToSheet) {
-    outputToGoogleSheet(results, CONFIG);
+  // Run every registered test, or CONFIG as a single test. The registry lives in an
+  // existing spreadsheet, so every run reads and writes the same tabs.
+  if (CONFIG.testRegistrySheetName && !CONFIG.spreadsheetUrl) {
+    throw new Error("testRegistrySheetName needs the spreadsheetUrl of the spreadsheet with the registry tab");
   }
+  var tests = CONFIG.testRegistrySheetName ? loadTestRegistry(CONFIG) : [CONFIG];
+  
+  tests.forEach(function(testConfig) {
+    if (testConfig.testName) {
+      Logger.log("\n##### Test: " + testConfig.testName + " #####");
+    }
+    
+    try {
+      // The lag curve is estimated once per test and applied to every pair
+      var lagCurve = testConfig.conversionLagMode === "curve" ? estimateConversionLagCurve(testConfig) : null;
+      
+      // Run the A/B test
+      var results = runTest(testConfig, lagCurve);
+      
+      // Act on finished tests
+      applyTestActions(results, testConfig);
+      
+      // Log and share results
+      logResults(results, testConfig, lagCurve);
+      if (testConfig.emailAddress) {
+        emailResults(results, testConfig, lagCurve);
+      }
+      if (testConfig.outputToSheet) {
+        // Checked first, as the results spreadsheet created without a URL sets it
+        var hasSpreadsheetUrl = Boolean(testConfig.spreadsheetUrl);
+        outputToGoogleSheet(results, testConfig, lagCurve);
+        if (testConfig.historySheetName && hasSpreadsheetUrl) {
+          writeTestHistory(results, testConfig);
+        } else if (testConfig.historySheetName) {
+          Logger.log("Warning: history and trends skipped - set spreadsheetUrl so each run adds to the same history tab");
+        }
+      }
+    } catch (e) {
+      // One misconfigured test shouldn't stop the others
+      if (tests.length === 1) {
+        throw e;
+      }
+      Logger.log("Error in test '" + testConfig.testName + "': " + e);
+    }
+  });
 }
 
 /**
- * Runs the A/B test analysis
+ * Reads the active tests from the registry tab and returns one config per
+ * test: a copy of the base config with the row's non-blank cells applied.
+ * Creates the tab with the base config as the first test if it doesn't exist.
+ * Rows with a reserved test name, an unknown control strategy, unreadable metric
+ * weights or an invalid significance level are skipped.
  */
-function runTest(config) {
-  var adPerformanceData = [];
-  var adGroups = [];
+function loadTestRegistry(config) {
+  var headers = ["Test Name", "Active", "Campaign Name Contains", "Ad Group Name Contains", "Control Strategy",
+                 "Control Value", "Metric Weights", "Date Range", "Significance Level", "Email Recipients"];
+  // Opened directly so a wrong URL fails instead of creating a new spreadsheet
+  var spreadsheet = SpreadsheetApp.openByUrl(config.spreadsheetUrl);
+  var sheet = spreadsheet.getSheetByName(config.testRegistrySheetName);
+  
+  if (!sheet) {
+    sheet = spreadsheet.insertSheet(config.testRegistrySheetName);
+    sheet.appendRow(headers);
+    sheet.getRange(1, 1, 1, headers.length).setFontWeight("bold");
+    sheet.appendRow(["Default", "YES", config.campaignNameContains, config.adGroupNameContains, "url",
+                     config.controlAdUrl, Object.keys(config.metricWeights).map(function(metric) {
+                       return metric + "=" + config.metricWeights[metric];
+                     }).join(", "), config.dateRange,
+                     config.significanceLevel, config.emailAddress]);
+    Logger.log("Test registry tab '" + config.testRegistrySheetName + "' created with this CONFIG as the first test");
+  }
+  
+  var values = sheet.getDataRange().getValues();
+  var columns = {};
+  values[0].forEach(function(header, index) {
+    columns[String(header).trim()] = index;
+  });
   
-  // Collect all relevant ad groups
-  var adGroupSelector = AdsApp.adGroups()
-    .forDateRange(config.dateRange);
+  var tests = [];
+  for (var r = 1; r < values.length; r++) {
+    var cell = readRegistryCell(values[r], columns);
+    var testName = cell("Test Name");
+    if (!testName || ["YES", "TRUE", "Y", "1"].indexOf(String(cell("Active")).toUpperCase()) === -1) {
+      continue;
+    }
+    // Each test's tab is cleared on every run, so it can't share a name with the other tabs
+    if (isReservedTabName(testName, config)) {
+      Logger.log("Error in test '" + testName + "': the name is used by another tab of the results spreadsheet. Test skipped.");
+      continue;
+    }
     
-  if (config.campaignNameContains) {
-    adGroupSelector = adGroupSelector.withCondition("CampaignName CONTAINS '" + config.campaignNameContains + "'");
+    var testConfig = {};
+    Object.keys(config).forEach(function(key) {
+      testConfig[key] = config[key];
+    });
+    testConfig.testName = testName;
+    
+    if (cell("Campaign Name Contains") !== "") {
+      testConfig.campaignNameContains = cell("Campaign Name Contains");
+    }
+    if (cell("Ad Group Name Contains") !== "") {
+      testConfig.adGroupNameContains = cell("Ad Group Name Contains");
+    }
+    var strategies = ["url", "urlRegex", "label", "adIds", "lowestId"];
+    if (cell("Control Strategy") !== "" && strategies.indexOf(cell("Control Strategy")) === -1) {
+      Logger.log("Error in test '" + testName + "': Control Strategy '" + cell("Control Strategy") +
+                 "' must be one of " + strategies.join(", ") + ". Test skipped.");
+      continue;
+    }
+    if (cell("Control Value") !== "") {
+      var strategy = cell("Control Strategy") || "url";
+      var controlValue = cell("Control Value");
+      if (strategy === "url") {
+        testConfig.controlAdUrl = controlValue;
+        testConfig.controlSelectionRules = [];
+      } else {
+        testConfig.controlSelectionRules = [{
+          strategy: strategy,
+          value: strategy === "adIds" ? String(controlValue).split(",").map(Number) : controlValue
+        }];
+      }
+    } else if (cell("Control Strategy") === "lowestId") {
+      testConfig.controlSelectionRules = [{ strategy: "lowestId" }];
+    }
+    if (cell("Metric Weights") !== "") {
+      try {
+        testConfig.metricWeights = parseMetricWeights(cell("Metric Weights"));
+      } catch (e) {
+        Logger.log("Error in test '" + testName + "': " + e.message + ". Test skipped.");
+        continue;
+      }
+    }
+    if (cell("Date Range") !== "") {
+      testConfig.dateRange = cell("Date Range");
+    }
+    if (cell("Significance Level") !== "") {
+      var significanceLevel = parseFloat(cell("Significance Level"));
+      if (!(significanceLevel > 0 && significanceLevel < 1)) {
+        Logger.log("Error in test '" + testName + "': Significance Level '" + cell("Significance Level") +
+                   "' must be between 0 and 1 (e.g. 0.05). Test skipped.");
+        continue;
+      }
+      testConfig.significanceLevel = significanceLevel;
+    }
+    if (cell("Email Recipients") !== "") {
+      testConfig.emailAddress = cell("Email Recipients");
+    }
+    
+    tests.push(testConfig);
   }
-  if (config.adGroupNameContains) {
-    adGroupSelector = adGroupSelector.withCondition("AdGroupName CONTAINS '" + config.adGroupNameContains + "'");
+  
+  Logger.log("Test registry: " + tests.length + " active tests");
+  return tests;
+}
+
+/**
+ * Whether a test name is taken by one of the shared tabs (registry, sequential
+ * state, change log, history and trends) of the results spreadsheet
+ */
+function isReservedTabName(name, config) {
+  var reserved = [config.testRegistrySheetName, config.sequentialStateSheetName, config.changeLogSheetName,
+                  config.historySheetName, config.trendsSheetName].filter(function(tabName) {
+    return tabName;
+  });
+  return reserved.some(function(tabName) {
+    // Trends tabs are per test, e.g. "A/B Test Trends - Brand"
+    return name === tabName || (tabName === config.trendsSheetName && name.indexOf(tabName + " - ") === 0);
+  });
+}
+
+/**
+ * Returns a lookup for a registry row's cells by header, trimmed, with missing
+ * columns read as blank
+ */
+function readRegistryCell(rowValues, columns) {
+  return function(header) {
+    var index = columns[header];
+    return index === undefined ? "" : String(rowValues[index]).trim();
+  };
+}
+
+/**
+ * Parses metric weights written as "CTR=0.4, CPC=0.3, Conversions=0.3".
+ * Percentages ("CTR=40") are read as fractions.
+ */
+function parseMetricWeights(text) {
+  var weights = {};
+  var values = [];
+  String(text).split(",").forEach(function(part) {
+    var pair = part.split("=");
+    if (pair.length !== 2) {
+      throw new Error("Metric weight '" + part.trim() + "' must look like METRIC=WEIGHT");
+    }
+    var weight = parseFloat(pair[1]);
+    weights[pair[0].trim()] = weight;
+    values.push(weight);
+  });
+  
+  var total = values.reduce(function(sum, weight) {
+    return sum + weight;
+  }, 0);
+  if (total > 1.5) {
+    Object.keys(weights).forEach(function(metric) {
+      weights[metric] = weights[metric] / 100;
+    });
   }
+  return weights;
+}
+
+/**
+ * Runs the A/B test analysis. lagCurve is the conversion lag curve of
+ * estimateConversionLagCurve in "curve" lag mode, otherwise null.
+ */
+function runTest(config, lagCurve) {
+  var adPerformanceData = [];
   
-  var adGroupIterator = adGroupSelector.get();
-  while (adGroupIterator.hasNext()) {
-    adGroups.push(adGroupIterator.next());
+  validateMetricConfig(config);
+  
+  // Asset mode compares assets within each ad instead of ads within each ad group
+  var isAssetMode = config.aggregationLevel === "asset";
+  var collectsAds = config.testSource !== "experiments" && !isAssetMode;
+  
+  // Collect all relevant ad groups and their ads in bulk
+  var adGroups = collectsAds ? fetchAdGroupsWithAds(config, lagCurve) : [];
+  
+  if (collectsAds) {
+    Logger.log("Analyzing " + adGroups.length + " ad groups");
   }
   
-  Logger.log("Analyzing " + adGroups.length + " ad groups");
+  // Landing page mode pools the ads of all ad groups, so ad groups with a single ad still count
+  var isLandingPageMode = config.aggregationLevel === "landingPage";
+  var allAds = [];
   
   // Process each ad group
-  adGroups.forEach(function(adGroup) {
-    var adGroupData = {
-      name: adGroup.getName(),
-      campaignName: adGroup.getCampaign().getName(),
-      ads: []
-    };
-    
-    // Get ads in this ad group
-    var adSelector = adGroup.ads()
-      .withCondition("Impressions >= " + config.minImpressions)
-      .forDateRange(config.dateRange);
-      
-    if (!config.includeAllAdStatus) {
-      adSelector = adSelector.withCondition("Status = ENABLED");
-    }
-      
-    var adIterator = adSelector.get();
-    
-    // Skip ad groups with fewer than 2 ads
-    if (adSelector.get().totalNumEntities() < 2) {
+  adGroups.forEach(function(adGroupData) {
+    if (isLandingPageMode) {
+      allAds = allAds.concat(adGroupData.ads);
       return;
     }
     
-    while (adIterator.hasNext()) {
-      var ad = adIterator.next();
-      var stats = ad.getStatsFor(config.dateRange);
-      
-      adGroupData.ads.push({
-        id: ad.getId(),
-        headline: getAdHeadline(ad),
-        displayId: "ID: " + ad.getId() + " - " + getAdHeadline(ad), // Combined ID and headline for display
-        finalUrl: ad.urls().getFinalUrl(),
-        impressions: stats.getImpressions(),
-        clicks: stats.getClicks(),
-        ctr: stats.getCtr(),
-        avgCpc: stats.getAverageCpc(),
-        cost: stats.getCost(),
-        conversions: stats.getConversions(),
-        convRate: stats.getConversionRate(),
-        // Calculate cost per conversion manually to avoid the error
-        costPerConversion: stats.getConversions() > 0 ? stats.getCost() / stats.getConversions() : 0
-      });
-    }
-    
     // Only include ad groups with at least 2 ads
     if (adGroupData.ads.length >= 2) {
-      // Find control ad based on final URL
-      var controlAd = null;
+      // Find the control ad with the selection rule for this ad group
+      var controlRule = getControlSelectionRule(adGroupData, config);
+      var controlAd = findControlAd(adGroupData.ads, controlRule);
       var testAds = [];
       
-      // Try to find the control ad first by final URL
-      for (var i = 0; i < adGroupData.ads.length; i++) {
-        var ad = adGroupData.ads[i];
-        // Check if this ad has the control URL
-        if (ad.finalUrl && ad.finalUrl.indexOf(config.controlAdUrl) !== -1) {
-          controlAd = ad;
-          break;
-        }
-      }
-      
-      // If no control ad found by URL, fall back to using the one with highest impressions
+      // Without a control there is nothing to compare against, so report the ad group instead of guessing
       if (!controlAd) {
-        // Sort ads by impressions (highest first) and use the first one as control
-        adGroupData.ads.sort(function(a, b) {
-          return b.impressions - a.impressions;
-        });
-        controlAd = adGroupData.ads[0];
-        Logger.log("Warning: No ad found with control URL '" + config.controlAdUrl + 
-                  "' in ad group '" + adGroupData.name + "'. Using highest impression ad as control.");
+        Logger.log("Warning: Control not found in ad group '" + adGroupData.name + "' (" + 
+                  describeControlRule(controlRule) + "). Ad group not tested.");
+        adGroupData.controlNotFound = true;
+        adGroupData.controlRule = describeControlRule(controlRule);
+        adGroupData.testResults = [];
+        adPerformanceData.push(adGroupData);
+        return;
       }
       
       // Get all non-control ads as test ads
@@ -175,247 +487,2789 @@ function runTest(config) {
       // Only proceed if we have at least one test ad
       if (testAds.length > 0) {
         adGroupData.controlAd = controlAd;
-        adGroupData.testResults = [];
-        
-        // Compare each test ad against the control
-        for (var i = 0; i < testAds.length; i++) {
-          var testAd = testAds[i];
-          var testResult = calculateSignificance(controlAd, testAd, config.primaryMetricForSignificance, config);
-          adGroupData.testResults.push({
-            testAd: testAd,
-            pValue: testResult.pValue,
-            isSignificant: testResult.pValue < config.significanceLevel,
-            relativeDifference: testResult.relativeDifference,
-            absoluteDifference: testResult.absoluteDifference,
-            better: testResult.better,
-            compositeScore: testResult.compositeScore,
-            isBetterOverall: testResult.compositeScore > 0.5,
-            metricResults: testResult.metricResults
-          });
-        }
-        
+        adGroupData.testResults = compareWithControl(controlAd, testAds, config);
         adPerformanceData.push(adGroupData);
       }
     }
   });
   
+  if (isLandingPageMode) {
+    var landingPageData = buildLandingPageComparison(allAds, config);
+    if (landingPageData) {
+      adPerformanceData.push(landingPageData);
+    }
+  }
+  
+  if (isAssetMode && config.testSource !== "experiments") {
+    adPerformanceData = adPerformanceData.concat(buildAssetComparisons(config));
+  }
+  
+  // Native experiments run through the same pipeline as ad tests
+  if (config.testSource === "experiments" || config.testSource === "both") {
+    adPerformanceData = adPerformanceData.concat(buildExperimentComparisons(config));
+  }
+  
+  if (config.sampleRatioCheck) {
+    applySampleRatioCheck(adPerformanceData, config);
+  }
+  
+  applyMultipleComparisonCorrection(adPerformanceData, config);
+  
+  if (config.mode === "sequential") {
+    updateSequentialState(adPerformanceData, config);
+  }
+  
+  if (config.segmentBreakdowns && config.segmentBreakdowns.length > 0) {
+    applySegmentBreakdowns(adPerformanceData, config);
+  }
+  
   return adPerformanceData;
 }
 
 /**
- * Calculates statistical significance between control and test ad
- * and computes a composite score based on weighted metrics
+ * Checks that every weighted metric is known and that the weights add up to
+ * 1.0, and that each mode and action has the settings it depends on
  */
-function calculateSignificance(controlAd, testAd, primaryMetric, config) {
-  var result = {
-    pValue: 1.0,
-    relativeDifference: 0,
-    absoluteDifference: 0,
-    better: false,
-    compositeScore: 0,
-    metricResults: {}
-  };
+function validateMetricConfig(config) {
+  var knownMetrics = ["CTR", "CPC", "Conversions", "CostPerConversion", "CPA", "ROAS", "ConvValuePerClick", "AOV"];
+  var totalWeight = 0;
   
-  // Statistical significance for primary metric (default: CTR)
-  var controlClicks = controlAd.clicks;
-  var controlImpressions = controlAd.impressions;
-  var testClicks = testAd.clicks;
-  var testImpressions = testAd.impressions;
+  Object.keys(config.metricWeights).forEach(function(metric) {
+    if (knownMetrics.indexOf(metric) === -1) {
+      throw new Error("Unknown metric '" + metric + "' in metricWeights. Use one of: " + knownMetrics.join(", "));
+    }
+    var weight = config.metricWeights[metric];
+    if (typeof weight !== "number" || !isFinite(weight) || weight < 0) {
+      throw new Error("Weight of " + metric + " in metricWeights must be a number of at least 0 but is '" + weight + "'");
+    }
+    totalWeight += weight;
+  });
   
-  // Calculate Fisher's exact test
-  var fisherResult = fisherExactTest(
-    controlClicks,
-    controlImpressions - controlClicks,
-    testClicks,
-    testImpressions - testClicks
-  );
+  if (Math.abs(totalWeight - 1) > 0.001) {
+    throw new Error("metricWeights must add up to 1.0 but add up to " + totalWeight.toFixed(3));
+  }
   
-  result.pValue = fisherResult.pValue;
+  // CPA is the same metric as CostPerConversion, which the results are keyed by
+  if (config.primaryMetricForSignificance === "CPA") {
+    config.primaryMetricForSignificance = "CostPerConversion";
+  }
+  if (knownMetrics.indexOf(config.primaryMetricForSignificance) === -1) {
+    throw new Error("Unknown primaryMetricForSignificance '" + config.primaryMetricForSignificance + "'. Use one of: " +
+                    knownMetrics.join(", "));
+  }
   
-  // Calculate differences for all metrics
-  // 1. CTR
-  var controlCTR = controlAd.ctr;
-  var testCTR = testAd.ctr;
-  var ctrRelativeDiff = 0;
-  if (controlCTR !== 0) {
-    ctrRelativeDiff = ((testCTR - controlCTR) / controlCTR) * 100;
-  } else if (testCTR !== 0) {
-    ctrRelativeDiff = 100; // If control is 0 and test is not, that's a 100% improvement
+  // A rolling window drops old days, so its looks aren't cumulative and the
+  // always-valid p-values of different runs can't be combined
+  if (config.mode === "sequential" && config.dateRange !== "ALL_TIME") {
+    throw new Error("Sequential mode needs dateRange \"ALL_TIME\" but dateRange is \"" + config.dateRange + "\"");
+  }
+  // Without an existing spreadsheet each run would write its state to a new one
+  // and start over, so no test would ever run for more than a day
+  if (config.mode === "sequential" && !config.spreadsheetUrl) {
+    throw new Error("Sequential mode needs the spreadsheetUrl of the spreadsheet that keeps the state tab");
+  }
+  // The winners and losers follow the primary metric, so it has to be the metric the
+  // posterior decides on
+  if (config.mode === "bayesian" && ["CTR", "Conversions"].indexOf(config.primaryMetricForSignificance) === -1) {
+    throw new Error("Bayesian mode needs primaryMetricForSignificance \"CTR\" or \"Conversions\" but it is \"" +
+                    config.primaryMetricForSignificance + "\"");
   }
+  // Likewise every run would read an empty change log and apply the same changes again
+  var hasActions = config.labelWinningAds || config.pauseLosingAds || config.pauseControlWhenChallengerWins;
+  if (hasActions && !config.actionsDryRun && !(config.outputToSheet && config.spreadsheetUrl)) {
+    throw new Error("Applying labels or pauses needs outputToSheet and the spreadsheetUrl of the spreadsheet " +
+                    "that keeps the change log, so changes aren't applied again on later runs");
+  }
+}
+
+/**
+ * Collects every matching ad with its metrics using two GAQL reports over
+ * ad_group_ad (the analysis date range and the recent window) instead of
+ * per-ad stats calls, and groups the ads by ad group in memory.
+ * Returns a list of { id, name, campaignName, ads } in report order.
+ */
+function fetchAdGroupsWithAds(config, lagCurve) {
+  var conditions = buildAdFilterConditions(config);
+  var recentTraffic = fetchRecentTraffic(config, conditions);
+  var labelNames = fetchLabelNames();
+  // Daily stats drive the window alignment, the lag adjustment and the variance of the mean metrics
+  var dailyStats = fetchDailyAdStats(config, conditions, lagCurve);
   
-  result.metricResults.CTR = {
-    control: controlCTR,
-    test: testCTR,
-    relativeDiff: ctrRelativeDiff,
-    absoluteDiff: (testCTR - controlCTR) * 100,
-    better: testCTR > controlCTR
-  };
+  var query = "SELECT campaign.name, ad_group.id, ad_group.name, ad_group.ad_rotation_mode, ad_group_ad.ad.id, ad_group_ad.ad.type, " +
+              "ad_group_ad.ad.final_urls, ad_group_ad.ad.responsive_search_ad.headlines, " +
+              "ad_group_ad.ad.expanded_text_ad.headline_part1, ad_group_ad.labels, " +
+              "metrics.impressions, metrics.clicks, metrics.cost_micros, metrics.conversions, " +
+              "metrics.conversions_value " +
+              "FROM ad_group_ad WHERE " + conditions.concat(
+                ["metrics.impressions >= " + config.minImpressions],
+                gaqlDateConditions(config.dateRange)).join(" AND ");
   
-  // 2. CPC 
-  var controlCPC = controlAd.avgCpc;
-  var testCPC = testAd.avgCpc;
-  var cpcRelativeDiff = 0;
-  if (controlCPC !== 0) {
-    cpcRelativeDiff = ((testCPC - controlCPC) / controlCPC) * 100;
-  } else if (testCPC !== 0) {
-    cpcRelativeDiff = -100; // Lower CPC is better, so if control is 0 it's worse
+  var adGroupsById = {};
+  var adGroups = [];
+  var rows = AdsApp.report(query).rows();
+  
+  while (rows.hasNext()) {
+    var row = rows.next();
+    var adGroupId = Number(row["ad_group.id"]);
+    var adId = Number(row["ad_group_ad.ad.id"]);
+    var key = adGroupId + ":" + adId;
+    
+    var adGroupData = adGroupsById[adGroupId];
+    if (!adGroupData) {
+      adGroupData = adGroupsById[adGroupId] = {
+        id: adGroupId,
+        name: row["ad_group.name"],
+        campaignName: row["campaign.name"],
+        adRotationMode: row["ad_group.ad_rotation_mode"],
+        ads: []
+      };
+      adGroups.push(adGroupData);
+    }
+    
+    var headline = getAdHeadline(row);
+    var totals = buildAdMetrics({
+      impressions: parseInt(row["metrics.impressions"], 10) || 0,
+      clicks: parseInt(row["metrics.clicks"], 10) || 0,
+      cost: (parseFloat(row["metrics.cost_micros"]) || 0) / 1000000,
+      conversions: parseFloat(row["metrics.conversions"]) || 0,
+      conversionValue: parseFloat(row["metrics.conversions_value"]) || 0
+    });
+    var recent = recentTraffic[key] || { impressions: 0, clicks: 0, conversions: 0 };
+    
+    totals.id = adId;
+    totals.headline = headline;
+    totals.displayId = "ID: " + adId + " - " + headline; // Combined ID and headline for display
+    totals.finalUrl = parseReportList(row["ad_group_ad.ad.final_urls"])[0] || "";
+    totals.labels = parseReportList(row["ad_group_ad.labels"]).map(function(resourceName) {
+      return labelNames[resourceName] || resourceName;
+    });
+    // Recent traffic, used to estimate how long a test still needs
+    totals.recentImpressions = recent.impressions;
+    totals.recentClicks = recent.clicks;
+    totals.recentConversions = recent.conversions;
+    totals.adGroupId = adGroupId;
+    totals.key = key;
+    totals.daily = dailyStats.ads[key] || {};
+    totals.dailyDataStart = dailyStats.firstDate;
+    
+    adGroupData.ads.push(totals);
   }
   
-  result.metricResults.CPC = {
-    control: controlCPC,
-    test: testCPC,
-    relativeDiff: cpcRelativeDiff,
-    absoluteDiff: testCPC - controlCPC,
-    better: testCPC < controlCPC  // Lower CPC is better
-  };
+  return adGroups;
+}
+
+/**
+ * GAQL conditions on ad_group_ad shared by all ad reports: status and the
+ * campaign and ad group name filters
+ */
+function buildAdFilterConditions(config) {
+  var conditions = [
+    "campaign.status != 'REMOVED'",
+    "ad_group.status != 'REMOVED'",
+    config.includeAllAdStatus ? "ad_group_ad.status != 'REMOVED'" : "ad_group_ad.status = 'ENABLED'"
+  ];
+  if (config.campaignNameContains) {
+    conditions.push("campaign.name LIKE '%" + config.campaignNameContains + "%'");
+  }
+  if (config.adGroupNameContains) {
+    conditions.push("ad_group.name LIKE '%" + config.adGroupNameContains + "%'");
+  }
+  return conditions;
+}
+
+/**
+ * GAQL date conditions for a date range. ALL_TIME has no GAQL equivalent;
+ * leaving out the date condition covers all time.
+ */
+function gaqlDateConditions(dateRange) {
+  return dateRange === "ALL_TIME" ? [] : ["segments.date DURING " + dateRange];
+}
+
+/**
+ * GAQL date conditions for a query that selects segments.date, which needs a
+ * finite date range, so all time starts at a fixed early date
+ */
+function dailyDateConditions(dateRange) {
+  return dateRange === "ALL_TIME" ?
+    ["segments.date >= '2000-01-01'", "segments.date <= '" + getAccountToday() + "'"] :
+    gaqlDateConditions(dateRange);
+}
+
+/**
+ * Returns the impressions, clicks and conversions of every matching ad in the
+ * recent window, keyed by "adGroupId:adId"
+ */
+function fetchRecentTraffic(config, conditions) {
+  var traffic = {};
+  var query = "SELECT ad_group.id, ad_group_ad.ad.id, metrics.impressions, metrics.clicks, metrics.conversions " +
+              "FROM ad_group_ad WHERE " + conditions.concat(gaqlDateConditions(config.recentRateDateRange)).join(" AND ");
   
-  // 3. Conversion Rate
-  var controlConvRate = controlAd.convRate || 0;
-  var testConvRate = testAd.convRate || 0;
-  var convRelativeDiff = 0;
-  if (controlConvRate !== 0) {
-    convRelativeDiff = ((testConvRate - controlConvRate) / controlConvRate) * 100;
-  } else if (testConvRate !== 0) {
-    convRelativeDiff = 100; // If control is 0 and test is not, that's a 100% improvement
+  var rows = AdsApp.report(query).rows();
+  while (rows.hasNext()) {
+    var row = rows.next();
+    traffic[row["ad_group.id"] + ":" + Number(row["ad_group_ad.ad.id"])] = {
+      impressions: parseInt(row["metrics.impressions"], 10) || 0,
+      clicks: parseInt(row["metrics.clicks"], 10) || 0,
+      conversions: parseFloat(row["metrics.conversions"]) || 0
+    };
+  }
+  return traffic;
+}
+
+/**
+ * Returns the daily counts of every matching ad, keyed by "adGroupId:adId"
+ * and then by date, together with the first date that has any data. Each day
+ * carries its conversion completeness from the lag curve (1 without a curve).
+ */
+function fetchDailyAdStats(config, conditions, lagCurve) {
+  var dailyStats = { ads: {}, firstDate: null };
+  var today = getAccountToday();
+  var query = "SELECT ad_group.id, ad_group_ad.ad.id, segments.date, metrics.impressions, metrics.clicks, " +
+              "metrics.cost_micros, metrics.conversions, metrics.conversions_value FROM ad_group_ad WHERE " +
+              conditions.concat(dailyDateConditions(config.dateRange)).join(" AND ");
+  
+  var rows = AdsApp.report(query).rows();
+  while (rows.hasNext()) {
+    var row = rows.next();
+    var key = row["ad_group.id"] + ":" + Number(row["ad_group_ad.ad.id"]);
+    var date = row["segments.date"];
+    dailyStats.ads[key] = dailyStats.ads[key] || {};
+    dailyStats.ads[key][date] = {
+      impressions: parseInt(row["metrics.impressions"], 10) || 0,
+      clicks: parseInt(row["metrics.clicks"], 10) || 0,
+      cost: (parseFloat(row["metrics.cost_micros"]) || 0) / 1000000,
+      conversions: parseFloat(row["metrics.conversions"]) || 0,
+      conversionValue: parseFloat(row["metrics.conversions_value"]) || 0,
+      lagCompleteness: getLagCompleteness(lagCurve, daysBetweenDates(date, today))
+    };
+    if (!dailyStats.firstDate || date < dailyStats.firstDate) {
+      dailyStats.firstDate = date;
+    }
+  }
+  return dailyStats;
+}
+
+/**
+ * Restricts a control/test pair to the dates both ads were serving, skipping
+ * the burn-in days after an ad that launched inside the date range. Returns
+ * copies of both ads with the window's metrics and the window itself, or the
+ * ads unchanged with a null window when there is no daily data (experiments,
+ * assets) or alignment is turned off.
+ */
+function alignComparisonWindow(controlAd, testAd, config) {
+  if (!config.alignComparisonWindows || !controlAd.daily || !testAd.daily) {
+    return { controlAd: controlAd, testAd: testAd, window: null };
   }
   
-  result.metricResults.Conversions = {
-    control: controlConvRate,
-    test: testConvRate,
-    relativeDiff: convRelativeDiff,
-    absoluteDiff: (testConvRate - controlConvRate) * 100,
-    better: testConvRate > controlConvRate
+  var controlDates = Object.keys(controlAd.daily).filter(function(date) {
+    return controlAd.daily[date].impressions > 0;
+  }).sort();
+  var testDates = Object.keys(testAd.daily).filter(function(date) {
+    return testAd.daily[date].impressions > 0;
+  }).sort();
+  if (controlDates.length === 0 || testDates.length === 0) {
+    return { controlAd: controlAd, testAd: testAd, window: { start: null, end: null, days: 0, burnInDays: 0, dates: [] } };
+  }
+  
+  // The later of the two launches starts the window; burn-in only applies to a launch we can see
+  var launchDate = controlDates[0] > testDates[0] ? controlDates[0] : testDates[0];
+  var burnInDays = launchDate > testAd.dailyDataStart ? config.burnInDays : 0;
+  var startDate = addDaysToDate(launchDate, burnInDays);
+  
+  var windowDates = testDates.filter(function(date) {
+    return date >= startDate && controlAd.daily[date] && controlAd.daily[date].impressions > 0;
+  });
+  
+  function sumDays(ad) {
+    var totals = { impressions: 0, clicks: 0, cost: 0, conversions: 0, conversionValue: 0 };
+    windowDates.forEach(function(date) {
+      var day = ad.daily[date];
+      totals.impressions += day.impressions;
+      totals.clicks += day.clicks;
+      totals.cost += day.cost;
+      totals.conversions += day.conversions;
+      totals.conversionValue += day.conversionValue;
+    });
+    var copy = copyAdWith(ad, buildAdMetrics(totals));
+    copy.comparisonDates = windowDates;
+    return copy;
+  }
+  
+  return {
+    controlAd: sumDays(controlAd),
+    testAd: sumDays(testAd),
+    window: {
+      start: windowDates.length > 0 ? windowDates[0] : null,
+      end: windowDates.length > 0 ? windowDates[windowDates.length - 1] : null,
+      days: windowDates.length,
+      burnInDays: burnInDays,
+      dates: windowDates
+    }
   };
+}
+
+/**
+ * Returns a shallow copy of an ad with some fields replaced
+ */
+function copyAdWith(ad, fields) {
+  var copy = {};
+  Object.keys(ad).forEach(function(field) {
+    copy[field] = ad[field];
+  });
+  Object.keys(fields).forEach(function(field) {
+    copy[field] = fields[field];
+  });
+  return copy;
+}
+
+/**
+ * Applies the conversion lag adjustment to a compared pair, on the pair's
+ * comparison window (or all days when windows aren't aligned). Only the
+ * conversion fields and the clicks and cost they are measured against change.
+ * Ads without daily data (landing pages, experiments) are returned unchanged.
+ */
+function adjustForConversionLag(pair, config) {
+  var mode = config.conversionLagMode;
+  if ((mode !== "exclude" && mode !== "curve") || !pair.controlAd.daily || !pair.testAd.daily) {
+    return pair;
+  }
+  
+  var today = getAccountToday();
+  
+  function adjust(ad) {
+    var dates = pair.window ? pair.window.dates : Object.keys(ad.daily);
+    var totals = { clicks: 0, cost: 0, conversions: 0, conversionValue: 0 };
+    dates.forEach(function(date) {
+      var day = ad.daily[date] && getLagAdjustedDay(ad.daily[date], date, today, config);
+      if (!day) {
+        return;
+      }
+      totals.clicks += day.clicks;
+      totals.cost += day.cost;
+      totals.conversions += day.conversions;
+      totals.conversionValue += day.conversionValue;
+    });
+    
+    return copyAdWith(ad, {
+      conversions: totals.conversions,
+      conversionValue: totals.conversionValue,
+      conversionClicks: totals.clicks,
+      conversionCost: totals.cost,
+      convRate: totals.clicks > 0 ? totals.conversions / totals.clicks : 0,
+      costPerConversion: totals.conversions > 0 ? totals.cost / totals.conversions : 0
+    });
+  }
+  
+  return { controlAd: adjust(pair.controlAd), testAd: adjust(pair.testAd), window: pair.window };
+}
+
+/**
+ * Returns one day of an ad's data as used by the conversion metrics under the
+ * configured lag adjustment, or null if the day is left out
+ */
+function getLagAdjustedDay(day, date, today, config) {
+  var mode = config.conversionLagMode;
+  if (mode === "exclude" && date >= addDaysToDate(today, -config.conversionLagDays)) {
+    return null;
+  }
+  var completeness = mode === "curve" ? day.lagCompleteness || 1 : 1;
+  return {
+    clicks: day.clicks,
+    cost: day.cost,
+    conversions: day.conversions / completeness,
+    conversionValue: day.conversionValue / completeness
+  };
+}
+
+/**
+ * Estimates the share of a day's eventual conversions that has been reported
+ * after 0 to conversionLagDays - 1 days, from the account's daily history.
+ * In a steady state the conversions that happen on a day
+ * (conversions_by_conversion_date) equal the conversions its clicks will
+ * eventually bring, so the reported conversions of a click date divided by
+ * that day's conversions_by_conversion_date is its completeness so far.
+ * Each age is smoothed over up to a week of click dates centred on it, and
+ * the curve is forced to grow with age. Today is still in progress, so the
+ * history ends yesterday and today gets yesterday's completeness.
+ * Returns completeness by age in days (index 0 = today).
+ */
+function estimateConversionLagCurve(config) {
+  var horizon = config.conversionLagDays;
+  var today = getAccountToday();
+  var query = "SELECT segments.date, metrics.conversions, metrics.conversions_by_conversion_date FROM customer " +
+              "WHERE segments.date BETWEEN '" + addDaysToDate(today, -(horizon + 3)) + "' AND '" + addDaysToDate(today, -1) + "'";
+  
+  var byAge = {};
+  var rows = AdsApp.report(query).rows();
+  while (rows.hasNext()) {
+    var row = rows.next();
+    byAge[daysBetweenDates(row["segments.date"], today)] = {
+      conversions: parseFloat(row["metrics.conversions"]) || 0,
+      byConversionDate: parseFloat(row["metrics.conversions_by_conversion_date"]) || 0
+    };
+  }
+  
+  var curve = [];
+  for (var age = 0; age < horizon; age++) {
+    var reported = 0;
+    var expected = 0;
+    // Narrower near yesterday so the window stays centred on the age (older days are more complete)
+    var halfWidth = Math.max(0, Math.min(3, age - 1));
+    for (var offset = -halfWidth; offset <= halfWidth; offset++) {
+      var day = byAge[age + offset];
+      if (day) {
+        reported += day.conversions;
+        expected += day.byConversionDate;
+      }
+    }
+    // Days without enough history (and today) count as complete rather than inflating
+    // noise; the growth rule below then gives today yesterday's completeness.
+    // Very young days are floored so a handful of conversions can't explode.
+    curve.push(expected > 0 ? Math.max(0.2, Math.min(1, reported / expected)) : 1);
+  }
+  // Completeness can only grow with age
+  for (var i = curve.length - 2; i >= 0; i--) {
+    curve[i] = Math.min(curve[i], curve[i + 1]);
+  }
+  
+  Logger.log("Conversion lag curve: " + describeConversionLag(config, curve));
+  return curve;
+}
+
+/**
+ * Returns the estimated completeness of conversions of a given age in days
+ */
+function getLagCompleteness(curve, age) {
+  if (!curve || age >= curve.length) {
+    return 1;
+  }
+  return curve[Math.max(0, age)];
+}
+
+/**
+ * Describes the conversion lag adjustment applied in this run, for the report
+ */
+function describeConversionLag(config, curve) {
+  if (config.conversionLagMode === "exclude") {
+    return "last " + config.conversionLagDays + " days excluded from conversion metrics";
+  }
+  if (config.conversionLagMode === "curve") {
+    curve = curve || [];
+    var points = [];
+    [1, 3, 7, 14].forEach(function(age) {
+      if (age < curve.length) {
+        points.push("day " + age + ": " + (curve[age] * 100).toFixed(0) + "%");
+      }
+    });
+    return "recent conversions scaled by the account's lag curve over " + config.conversionLagDays + " days" +
+           (points.length > 0 ? " (reported so far " + points.join(", ") + ")" : "");
+  }
+  return "none (conversions as reported)";
+}
+
+/**
+ * Returns the number of days from one "yyyy-MM-dd" date to another
+ */
+function daysBetweenDates(from, to) {
+  function toTime(date) {
+    var parts = date.split("-");
+    return Date.UTC(Number(parts[0]), Number(parts[1]) - 1, Number(parts[2]));
+  }
+  return Math.round((toTime(to) - toTime(from)) / 86400000);
+}
+
+/**
+ * Returns today's date in the account's time zone as "yyyy-MM-dd", the time
+ * zone the report dates (segments.date) are in
+ */
+function getAccountToday() {
+  return Utilities.formatDate(new Date(), AdsApp.currentAccount().getTimeZone(), "yyyy-MM-dd");
+}
+
+/**
+ * Adds a number of days to a "yyyy-MM-dd" date
+ */
+function addDaysToDate(date, days) {
+  var parts = date.split("-");
+  var shifted = new Date(Date.UTC(Number(parts[0]), Number(parts[1]) - 1, Number(parts[2]) + days));
+  return Utilities.formatDate(shifted, "GMT", "yyyy-MM-dd");
+}
+
+/**
+ * Returns the names of all account labels keyed by resource name
+ */
+function fetchLabelNames() {
+  var names = {};
+  var rows = AdsApp.report("SELECT label.resource_name, label.name FROM label").rows();
+  while (rows.hasNext()) {
+    var row = rows.next();
+    names[row["label.resource_name"]] = row["label.name"];
+  }
+  return names;
+}
+
+/**
+ * Repeated fields come back from reports as arrays or JSON strings; returns
+ * them as an array either way
+ */
+function parseReportList(value) {
+  if (!value) {
+    return [];
+  }
+  if (Array.isArray(value)) {
+    return value;
+  }
+  if (String(value).charAt(0) === "[") {
+    try {
+      return JSON.parse(value);
+    } catch (e) {
+      // Not JSON after all, fall through to a single value
+    }
+  }
+  return [value];
+}
+
+/**
+ * Compares each test ad (or landing page) against the control
+ */
+function compareWithControl(controlAd, testAds, config) {
+  var testResults = [];
+  
+  for (var i = 0; i < testAds.length; i++) {
+    // Compare on the dates both ads were serving
+    var pair = alignComparisonWindow(controlAd, testAds[i], config);
+    if (pair.window && pair.window.days === 0) {
+      Logger.log("Warning: Ads " + controlAd.id + " and " + testAds[i].id + " have no serving days in common" +
+                 (pair.window.burnInDays > 0 ? " after the burn-in" : "") + ". Test ad not compared.");
+      continue;
+    }
+    pair = adjustForConversionLag(pair, config);
+    var pairControl = pair.controlAd;
+    var testAd = pair.testAd;
+    
+    var testResult = calculateSignificance(pairControl, testAd, config.primaryMetricForSignificance, config,
+                                           pair.window ? pair.window.dates : null);
+    var bayesianResult = config.mode === "bayesian" ? calculateBayesianResults(pairControl, testAd, config) : null;
+    testResults.push({
+      testAd: testAd,
+      controlAd: pairControl,
+      comparisonWindow: pair.window,
+      pValue: testResult.pValue,
+      testMethod: testResult.testMethod,
+      isSignificant: bayesianResult ? bayesianResult.isDecisive : isBelowLevel(testResult.pValue, config),
+      bayesian: bayesianResult,
+      relativeDifference: testResult.relativeDifference,
+      absoluteDifference: testResult.absoluteDifference,
+      better: testResult.better,
+      compositeScore: testResult.compositeScore,
+      isBetterOverall: testResult.compositeScore > 0.5,
+      metricResults: testResult.metricResults,
+      power: calculatePowerAnalysis(pairControl, testAd, config.primaryMetricForSignificance, config)
+    });
+  }
+  
+  return testResults;
+}
+
+/**
+ * Pools the traffic of all ads by (normalized) final URL and compares every
+ * landing page with the control URL. Returns an entry shaped like an ad group
+ * whose "ads" are landing pages, or null if there is nothing to compare.
+ */
+function buildLandingPageComparison(ads, config) {
+  var pagesByUrl = {};
+  var pages = [];
+  
+  ads.forEach(function(ad) {
+    if (!ad.finalUrl) {
+      return;
+    }
+    var url = config.normalizeLandingPageUrls ? normalizeLandingPageUrl(ad.finalUrl) : ad.finalUrl;
+    var page = pagesByUrl[url];
+    if (!page) {
+      page = pagesByUrl[url] = {
+        id: url,
+        headline: url,
+        finalUrl: url,
+        impressions: 0,
+        clicks: 0,
+        cost: 0,
+        conversions: 0,
+        conversionValue: 0,
+        recentImpressions: 0,
+        recentClicks: 0,
+        recentConversions: 0,
+        adCount: 0,
+        adGroupIds: {},
+        memberKeys: [], // Ads pooled into this page, used for segment breakdowns
+        daily: {},
+        dailyDataStart: ad.dailyDataStart
+      };
+      pages.push(page);
+    }
+    page.impressions += ad.impressions;
+    page.clicks += ad.clicks;
+    page.cost += ad.cost;
+    page.conversions += ad.conversions || 0;
+    page.conversionValue += ad.conversionValue || 0;
+    page.recentImpressions += ad.recentImpressions;
+    page.recentClicks += ad.recentClicks;
+    page.recentConversions += ad.recentConversions || 0;
+    page.adCount++;
+    page.memberKeys.push(ad.key);
+    Object.keys(ad.daily || {}).forEach(function(date) {
+      var day = ad.daily[date];
+      var pageDay = page.daily[date] = page.daily[date] ||
+        { impressions: 0, clicks: 0, cost: 0, conversions: 0, conversionValue: 0, lagCompleteness: day.lagCompleteness };
+      pageDay.impressions += day.impressions;
+      pageDay.clicks += day.clicks;
+      pageDay.cost += day.cost;
+      pageDay.conversions += day.conversions;
+      pageDay.conversionValue += day.conversionValue;
+    });
+    page.adGroupIds[ad.adGroupId] = true;
+  });
+  
+  // Pooled rates from the summed counts
+  pages.forEach(function(page) {
+    page.ctr = page.impressions > 0 ? page.clicks / page.impressions : 0;
+    page.avgCpc = page.clicks > 0 ? page.cost / page.clicks : 0;
+    page.convRate = page.clicks > 0 ? page.conversions / page.clicks : 0;
+    page.costPerConversion = page.conversions > 0 ? page.cost / page.conversions : 0;
+    page.conversionClicks = page.clicks;
+    page.conversionCost = page.cost;
+    page.displayId = page.id + " (" + page.adCount + " ads in " + Object.keys(page.adGroupIds).length + " ad groups)";
+  });
+  
+  Logger.log("Landing page mode: " + ads.length + " ads pooled into " + pages.length + " landing pages");
+  
+  var landingPageData = {
+    id: "landing-pages",
+    name: "All matching ad groups (by landing page)",
+    campaignName: config.campaignNameContains || "All campaigns",
+    isLandingPageView: true,
+    ads: pages
+  };
+  
+  // An exact match on the control URL wins over a page that merely contains it
+  var controlUrl = config.normalizeLandingPageUrls ? normalizeLandingPageUrl(config.controlAdUrl) : config.controlAdUrl;
+  var controlPage = pagesByUrl[controlUrl] || findControlAd(pages, { strategy: "url", value: config.controlAdUrl });
+  if (!controlPage) {
+    Logger.log("Warning: Control landing page '" + config.controlAdUrl + "' not found. Landing pages not tested.");
+    landingPageData.controlNotFound = true;
+    landingPageData.controlRule = describeControlRule({ strategy: "url", value: config.controlAdUrl });
+    landingPageData.testResults = [];
+    return landingPageData;
+  }
+  
+  var testPages = pages.filter(function(page) {
+    return page !== controlPage;
+  });
+  if (testPages.length === 0) {
+    return null;
+  }
+  
+  landingPageData.controlAd = controlPage;
+  landingPageData.testResults = compareWithControl(controlPage, testPages, config);
+  return landingPageData;
+}
+
+/**
+ * Compares the headline and description assets of every matching responsive
+ * search ad from ad_group_ad_asset_view. Within each ad and asset type, assets
+ * that are pinned or still new (performance label LEARNING or PENDING) are the
+ * test items, compared with the pooled traffic of the ad's other assets of the
+ * same type (the incumbents). Each ad and asset type becomes one entry shaped
+ * like an ad group.
+ */
+function buildAssetComparisons(config) {
+  var query = "SELECT campaign.name, ad_group.id, ad_group.name, ad_group_ad.ad.id, asset.id, asset.text_asset.text, " +
+              "ad_group_ad_asset_view.field_type, ad_group_ad_asset_view.performance_label, " +
+              "ad_group_ad_asset_view.pinned_field, metrics.impressions, metrics.clicks, metrics.cost_micros, " +
+              "metrics.conversions, metrics.conversions_value FROM ad_group_ad_asset_view WHERE " +
+              buildAdFilterConditions(config).concat([
+                "ad_group_ad.ad.type = 'RESPONSIVE_SEARCH_AD'",
+                "ad_group_ad_asset_view.field_type IN ('HEADLINE', 'DESCRIPTION')",
+                "ad_group_ad_asset_view.enabled = TRUE"
+              ], gaqlDateConditions(config.dateRange)).join(" AND ");
+  
+  var groupsByKey = {};
+  var groups = [];
+  var rows = AdsApp.report(query).rows();
+  while (rows.hasNext()) {
+    var row = rows.next();
+    var adId = Number(row["ad_group_ad.ad.id"]);
+    var fieldType = row["ad_group_ad_asset_view.field_type"];
+    var key = row["ad_group.id"] + ":" + adId + ":" + fieldType;
+    
+    var group = groupsByKey[key];
+    if (!group) {
+      group = groupsByKey[key] = {
+        id: "asset:" + key,
+        name: row["ad_group.name"] + " - RSA " + adId + " " + (fieldType === "HEADLINE" ? "headlines" : "descriptions"),
+        campaignName: row["campaign.name"],
+        isAssetView: true,
+        ads: []
+      };
+      groups.push(group);
+    }
+    
+    var asset = buildAdMetrics({
+      impressions: parseInt(row["metrics.impressions"], 10) || 0,
+      clicks: parseInt(row["metrics.clicks"], 10) || 0,
+      cost: (parseFloat(row["metrics.cost_micros"]) || 0) / 1000000,
+      conversions: parseFloat(row["metrics.conversions"]) || 0,
+      conversionValue: parseFloat(row["metrics.conversions_value"]) || 0
+    });
+    var performanceLabel = row["ad_group_ad_asset_view.performance_label"] || "UNKNOWN";
+    var pinnedField = row["ad_group_ad_asset_view.pinned_field"];
+    var isPinned = !!pinnedField && pinnedField !== "UNSPECIFIED" && pinnedField !== "UNKNOWN";
+    var isNew = performanceLabel === "LEARNING" || performanceLabel === "PENDING";
+    
+    asset.id = Number(row["asset.id"]);
+    asset.headline = row["asset.text_asset.text"] || "Asset #" + asset.id;
+    asset.displayId = "Asset " + asset.id + " - " + asset.headline + " [" +
+                      (isPinned ? "pinned " + pinnedField + ", " : "") + performanceLabel + "]";
+    asset.finalUrl = "";
+    asset.performanceLabel = performanceLabel;
+    asset.pinnedField = isPinned ? pinnedField : "";
+    asset.isIncumbent = !isPinned && !isNew;
+    asset.recentImpressions = 0; // No recent window for assets, so no time-to-significance estimate
+    asset.recentClicks = 0;
+    asset.recentConversions = 0;
+    asset.memberKeys = []; // Segment breakdowns work on ads, not assets
+    asset.key = key + ":" + asset.id;
+    group.ads.push(asset);
+  }
+  
+  Logger.log("Asset mode: analyzing " + groups.length + " responsive search ad asset groups");
+  
+  var assetData = [];
+  groups.forEach(function(group) {
+    var incumbents = group.ads.filter(function(asset) {
+      return asset.isIncumbent && asset.impressions >= config.minImpressions;
+    });
+    var candidates = group.ads.filter(function(asset) {
+      return !asset.isIncumbent && asset.impressions >= config.minImpressions;
+    });
+    if (candidates.length === 0) {
+      return;
+    }
+    if (incumbents.length === 0) {
+      group.controlNotFound = true;
+      group.controlRule = "no incumbent (unpinned, rated) assets with at least " + config.minImpressions + " impressions";
+      group.testResults = [];
+      assetData.push(group);
+      return;
+    }
+    
+    group.controlAd = buildIncumbentAssetPool(incumbents, group);
+    group.testResults = compareWithControl(group.controlAd, candidates, config).map(removeSignificance);
+    assetData.push(group);
+  });
+  
+  return assetData;
+}
+
+/**
+ * Why asset comparisons have no significance, for the reports
+ */
+function describeAssetLimitation() {
+  return "An asset and the incumbents are shown together in the same ads, so their impressions overlap and " +
+         "are not independent samples. The differences are descriptive: no p-values or significance.";
+}
+
+/**
+ * Drops the p-values, intervals, power and significance of a comparison whose
+ * samples aren't independent, keeping the differences and the composite score
+ */
+function removeSignificance(result) {
+  var method = "Not tested (overlapping impressions)";
+  result.pValue = null;
+  result.testMethod = method;
+  result.isSignificant = false;
+  result.bayesian = null;
+  result.power = { power: null, minimumDetectableEffect: null, daysToSignificance: null };
+  Object.keys(result.metricResults).forEach(function(metric) {
+    var metricResult = result.metricResults[metric];
+    metricResult.pValue = null;
+    metricResult.testMethod = method;
+    metricResult.isSignificant = false;
+    metricResult.liftInterval = null;
+  });
+  return result;
+}
+
+/**
+ * Pools the traffic of an ad's incumbent assets of one type into a single control
+ */
+function buildIncumbentAssetPool(incumbents, group) {
+  var totals = { impressions: 0, clicks: 0, cost: 0, conversions: 0, conversionValue: 0 };
+  incumbents.forEach(function(asset) {
+    totals.impressions += asset.impressions;
+    totals.clicks += asset.clicks;
+    totals.cost += asset.cost;
+    totals.conversions += asset.conversions;
+    totals.conversionValue += asset.conversionValue;
+  });
+  
+  var pool = buildAdMetrics(totals);
+  pool.id = "incumbents";
+  pool.headline = "Incumbent assets (" + incumbents.length + ")";
+  pool.displayId = "Incumbent assets: " + incumbents.map(function(asset) {
+    return asset.headline + " [" + asset.performanceLabel + "]";
+  }).join(" | ");
+  pool.finalUrl = "";
+  pool.recentImpressions = 0;
+  pool.recentClicks = 0;
+  pool.recentConversions = 0;
+  pool.memberKeys = [];
+  pool.key = group.id + ":incumbents";
+  return pool;
+}
+
+/**
+ * Reads the native campaign experiments and compares each trial arm with the
+ * base (control) arm, using the campaign metrics of each arm within the
+ * experiment's own run dates. Each experiment becomes one entry shaped like an
+ * ad group, with its arms in place of ads.
+ */
+function buildExperimentComparisons(config) {
+  var experiments = fetchExperiments(config);
+  var experimentData = [];
+  
+  Logger.log("Analyzing " + experiments.length + " experiments");
+  
+  experiments.forEach(function(experiment) {
+    var campaignResourceNames = [];
+    experiment.arms.forEach(function(arm) {
+      campaignResourceNames = campaignResourceNames.concat(arm.campaigns);
+    });
+    if (campaignResourceNames.length === 0) {
+      return;
+    }
+    
+    // Only count the days the experiment was running, the base campaign had all traffic before
+    var runConditions = ["segments.date >= '" + experiment.startDate + "'"];
+    if (experiment.endDate) {
+      runConditions.push("segments.date <= '" + experiment.endDate + "'");
+    }
+    var campaignStats = fetchCampaignStats(campaignResourceNames,
+      gaqlDateConditions(config.dateRange).concat(runConditions));
+    var recentCampaignStats = fetchCampaignStats(campaignResourceNames,
+      gaqlDateConditions(config.recentRateDateRange).concat(runConditions));
+    
+    var arms = experiment.arms.map(function(arm) {
+      var totals = { impressions: 0, clicks: 0, cost: 0, conversions: 0, conversionValue: 0 };
+      var recent = { impressions: 0, clicks: 0, conversions: 0 };
+      var campaignNames = [];
+      arm.campaigns.forEach(function(resourceName) {
+        var stats = campaignStats[resourceName];
+        var recentStats = recentCampaignStats[resourceName];
+        if (stats) {
+          totals.impressions += stats.impressions;
+          totals.clicks += stats.clicks;
+          totals.cost += stats.cost;
+          totals.conversions += stats.conversions;
+          totals.conversionValue += stats.conversionValue;
+          campaignNames.push(stats.name);
+        }
+        if (recentStats) {
+          recent.impressions += recentStats.impressions;
+          recent.clicks += recentStats.clicks;
+          recent.conversions += recentStats.conversions;
+        }
+      });
+      
+      var armData = buildAdMetrics(totals);
+      armData.id = arm.resourceName;
+      armData.headline = arm.name;
+      armData.displayId = "Arm: " + arm.name + " (" + (campaignNames.join(", ") || "no data") + ")";
+      armData.finalUrl = "";
+      armData.campaignNames = campaignNames;
+      armData.isControl = arm.control;
+      armData.trafficSplit = arm.trafficSplit;
+      armData.recentImpressions = recent.impressions;
+      armData.recentClicks = recent.clicks;
+      armData.recentConversions = recent.conversions;
+      armData.memberKeys = []; // Segment breakdowns work on ads, not experiment arms
+      armData.key = experiment.resourceName + ":" + arm.name;
+      return armData;
+    });
+    
+    var controlArm = null;
+    var trialArms = [];
+    arms.forEach(function(arm) {
+      if (arm.isControl) {
+        controlArm = arm;
+      } else if (arm.impressions >= config.minImpressions) {
+        trialArms.push(arm);
+      }
+    });
+    
+    var experimentEntry = {
+      id: "experiment:" + experiment.id,
+      name: "Experiment: " + experiment.name + " (" + experiment.status + ")",
+      campaignName: controlArm && controlArm.campaignNames.length > 0 ? controlArm.campaignNames.join(", ") : experiment.name,
+      isExperiment: true,
+      ads: arms
+    };
+    
+    if (!controlArm || controlArm.impressions < config.minImpressions) {
+      Logger.log("Warning: Base arm of experiment '" + experiment.name + "' has too little data. Experiment not tested.");
+      experimentEntry.controlNotFound = true;
+      experimentEntry.controlRule = "base arm with at least " + config.minImpressions + " impressions";
+      experimentEntry.testResults = [];
+      experimentData.push(experimentEntry);
+      return;
+    }
+    if (trialArms.length === 0) {
+      return;
+    }
+    
+    experimentEntry.controlAd = controlArm;
+    experimentEntry.testResults = compareWithControl(controlArm, trialArms, config);
+    experimentData.push(experimentEntry);
+  });
+  
+  return experimentData;
+}
+
+/**
+ * Returns the experiments matching the name filter with their arms. Experiments
+ * still in setup have no data and are left out.
+ */
+function fetchExperiments(config) {
+  var experimentsByResourceName = {};
+  var experiments = [];
+  
+  var query = "SELECT experiment.resource_name, experiment.experiment_id, experiment.name, experiment.status, " +
+              "experiment.start_date, experiment.end_date FROM experiment " +
+              "WHERE experiment.status IN ('ENABLED', 'HALTED', 'PROMOTED', 'GRADUATED')";
+  if (config.experimentNameContains) {
+    query += " AND experiment.name LIKE '%" + config.experimentNameContains + "%'";
+  }
+  
+  var rows = AdsApp.report(query).rows();
+  while (rows.hasNext()) {
+    var row = rows.next();
+    var experiment = {
+      resourceName: row["experiment.resource_name"],
+      id: row["experiment.experiment_id"],
+      name: row["experiment.name"],
+      status: row["experiment.status"],
+      startDate: row["experiment.start_date"],
+      endDate: row["experiment.end_date"],
+      arms: []
+    };
+    experimentsByResourceName[experiment.resourceName] = experiment;
+    experiments.push(experiment);
+  }
+  if (experiments.length === 0) {
+    return experiments;
+  }
+  
+  var armRows = AdsApp.report("SELECT experiment_arm.resource_name, experiment_arm.experiment, experiment_arm.name, " +
+                              "experiment_arm.control, experiment_arm.traffic_split, experiment_arm.campaigns " +
+                              "FROM experiment_arm").rows();
+  while (armRows.hasNext()) {
+    var armRow = armRows.next();
+    var parent = experimentsByResourceName[armRow["experiment_arm.experiment"]];
+    if (!parent) {
+      continue;
+    }
+    parent.arms.push({
+      resourceName: armRow["experiment_arm.resource_name"],
+      name: armRow["experiment_arm.name"],
+      control: String(armRow["experiment_arm.control"]) === "true",
+      trafficSplit: parseInt(armRow["experiment_arm.traffic_split"], 10) || 0,
+      campaigns: parseReportList(armRow["experiment_arm.campaigns"])
+    });
+  }
+  
+  return experiments;
+}
+
+/**
+ * Returns the metrics of the given campaigns keyed by campaign resource name
+ */
+function fetchCampaignStats(campaignResourceNames, dateConditions) {
+  var stats = {};
+  var query = "SELECT campaign.resource_name, campaign.name, metrics.impressions, metrics.clicks, " +
+              "metrics.cost_micros, metrics.conversions, metrics.conversions_value FROM campaign WHERE " +
+              ["campaign.resource_name IN ('" + campaignResourceNames.join("', '") + "')"].concat(dateConditions).join(" AND ");
+  
+  var rows = AdsApp.report(query).rows();
+  while (rows.hasNext()) {
+    var row = rows.next();
+    stats[row["campaign.resource_name"]] = {
+      name: row["campaign.name"],
+      impressions: parseInt(row["metrics.impressions"], 10) || 0,
+      clicks: parseInt(row["metrics.clicks"], 10) || 0,
+      cost: (parseFloat(row["metrics.cost_micros"]) || 0) / 1000000,
+      conversions: parseFloat(row["metrics.conversions"]) || 0,
+      conversionValue: parseFloat(row["metrics.conversions_value"]) || 0
+    };
+  }
+  return stats;
+}
+
+/**
+ * Removes tracking parameters, fragments and trailing slashes from a final URL
+ * so that variants of the same landing page are grouped together
+ */
+function normalizeLandingPageUrl(url) {
+  var trackingParameter = /^(utm_[a-z_]+|gclid|gbraid|wbraid|gclsrc|dclid|fbclid|msclkid)$/i;
+  var withoutFragment = url.split("#")[0];
+  var parts = withoutFragment.split("?");
+  var base = parts[0].replace(/\/+$/, "");
+  
+  if (parts.length < 2) {
+    return base;
+  }
+  
+  var keptParameters = parts.slice(1).join("?").split("&").filter(function(parameter) {
+    return parameter && !trackingParameter.test(parameter.split("=")[0]);
+  });
+  return keptParameters.length > 0 ? base + "?" + keptParameters.join("&") : base;
+}
+
+/**
+ * Re-runs the significance and composite calculations of every test pair per
+ * segment of each configured breakdown and flags segments where the direction
+ * of the primary metric or the overall verdict flips against the pooled result
+ */
+function applySegmentBreakdowns(adPerformanceData, config) {
+  var segmentFields = {
+    device: "segments.device",
+    network: "segments.ad_network_type",
+    dayOfWeek: "segments.day_of_week"
+  };
+  
+  config.segmentBreakdowns.forEach(function(dimension) {
+    var field = segmentFields[dimension];
+    if (!field) {
+      Logger.log("Warning: Unknown segment breakdown '" + dimension + "'. Use device, network or dayOfWeek.");
+      return;
+    }
+    
+    var segmentCounts = fetchSegmentCounts(field, config);
+    
+    adPerformanceData.forEach(function(adGroupData) {
+      adGroupData.testResults.forEach(function(result) {
+        result.segments = result.segments || [];
+        // Segments cover the same days as the pair's comparison
+        var dates = result.comparisonWindow ? result.comparisonWindow.dates : null;
+        var controlSegments = sumSegmentCounts(result.controlAd, segmentCounts, dates);
+        var testSegments = sumSegmentCounts(result.testAd, segmentCounts, dates);
+        
+        Object.keys(controlSegments).sort().forEach(function(segment) {
+          if (!testSegments[segment]) {
+            return;
+          }
+          var segmentControl = buildAdMetrics(controlSegments[segment]);
+          var segmentTest = buildAdMetrics(testSegments[segment]);
+          if (segmentControl.impressions === 0 || segmentTest.impressions === 0) {
+            return;
+          }
+          
+          var segmentResult = calculateSignificance(segmentControl, segmentTest, config.primaryMetricForSignificance, config);
+          var isBetterOverall = segmentResult.compositeScore > 0.5;
+          var flips = [];
+          if (segmentResult.better !== result.better) {
+            flips.push(config.primaryMetricForSignificance);
+          }
+          if (isBetterOverall !== result.isBetterOverall) {
+            flips.push("overall");
+          }
+          
+          result.segments.push({
+            dimension: dimension,
+            segment: segment,
+            impressions: segmentTest.impressions,
+            pValue: segmentResult.pValue,
+            isSignificant: isBelowLevel(segmentResult.pValue, config),
+            relativeDifference: segmentResult.relativeDifference,
+            better: segmentResult.better,
+            compositeScore: segmentResult.compositeScore,
+            isBetterOverall: isBetterOverall,
+            flips: flips
+          });
+        });
+      });
+    });
+  });
+}
+
+/**
+ * Returns the daily counts of every ad for each value of a segment field,
+ * keyed by "adGroupId:adId", then by segment value and then by date
+ */
+function fetchSegmentCounts(field, config) {
+  var counts = {};
+  var query = "SELECT ad_group.id, ad_group_ad.ad.id, segments.date, " + field + ", metrics.impressions, metrics.clicks, " +
+              "metrics.cost_micros, metrics.conversions, metrics.conversions_value FROM ad_group_ad WHERE " +
+              buildAdFilterConditions(config).concat(dailyDateConditions(config.dateRange)).join(" AND ");
+  
+  var rows = AdsApp.report(query).rows();
+  while (rows.hasNext()) {
+    var row = rows.next();
+    var key = row["ad_group.id"] + ":" + Number(row["ad_group_ad.ad.id"]);
+    counts[key] = counts[key] || {};
+    counts[key][row[field]] = counts[key][row[field]] || {};
+    counts[key][row[field]][row["segments.date"]] = {
+      impressions: parseInt(row["metrics.impressions"], 10) || 0,
+      clicks: parseInt(row["metrics.clicks"], 10) || 0,
+      cost: (parseFloat(row["metrics.cost_micros"]) || 0) / 1000000,
+      conversions: parseFloat(row["metrics.conversions"]) || 0,
+      conversionValue: parseFloat(row["metrics.conversions_value"]) || 0
+    };
+  }
+  return counts;
+}
+
+/**
+ * Sums the segment totals of an ad, or of all ads pooled into a landing page,
+ * over the given dates (all dates when dates is null)
+ */
+function sumSegmentCounts(ad, segmentCounts, dates) {
+  var totals = {};
+  (ad.memberKeys || [ad.key]).forEach(function(key) {
+    var adSegments = segmentCounts[key] || {};
+    Object.keys(adSegments).forEach(function(segment) {
+      var total = totals[segment] = totals[segment] || { impressions: 0, clicks: 0, cost: 0, conversions: 0, conversionValue: 0 };
+      (dates || Object.keys(adSegments[segment])).forEach(function(date) {
+        var day = adSegments[segment][date];
+        if (!day) {
+          return;
+        }
+        total.impressions += day.impressions;
+        total.clicks += day.clicks;
+        total.cost += day.cost;
+        total.conversions += day.conversions;
+        total.conversionValue += day.conversionValue;
+      });
+    });
+  });
+  return totals;
+}
+
+/**
+ * Builds the rate metrics used by the calculations from raw totals
+ */
+function buildAdMetrics(totals) {
+  return {
+    impressions: totals.impressions,
+    clicks: totals.clicks,
+    cost: totals.cost,
+    conversions: totals.conversions,
+    conversionValue: totals.conversionValue,
+    // Clicks and cost the conversion metrics are measured against; the same as clicks
+    // and cost unless the conversion lag adjustment leaves recent days out
+    conversionClicks: totals.clicks,
+    conversionCost: totals.cost,
+    ctr: totals.impressions > 0 ? totals.clicks / totals.impressions : 0,
+    avgCpc: totals.clicks > 0 ? totals.cost / totals.clicks : 0,
+    convRate: totals.clicks > 0 ? totals.conversions / totals.clicks : 0,
+    costPerConversion: totals.conversions > 0 ? totals.cost / totals.conversions : 0
+  };
+}
+
+/**
+ * Flags control/test pairs whose impression split is too far from the split
+ * the ad group's rotation setting (or the experiment's traffic split) should
+ * produce. Sets result.srm on every pair the check applies to.
+ */
+function applySampleRatioCheck(adPerformanceData, config) {
+  adPerformanceData.forEach(function(adGroupData) {
+    // Pooled landing pages mix ad groups and assets share impressions, so there is no expected split
+    if (adGroupData.isLandingPageView || adGroupData.isAssetView) {
+      return;
+    }
+    if (!adGroupData.isExperiment && adGroupData.adRotationMode !== "ROTATE_FOREVER") {
+      return;
+    }
+    
+    adGroupData.testResults.forEach(function(result) {
+      var controlWeight = adGroupData.isExperiment ? result.controlAd.trafficSplit : 1;
+      var testWeight = adGroupData.isExperiment ? result.testAd.trafficSplit : 1;
+      if (!controlWeight || !testWeight) {
+        return;
+      }
+      
+      var srm = calculateSampleRatioMismatch(result.controlAd.impressions, result.testAd.impressions,
+                                             controlWeight / (controlWeight + testWeight));
+      srm.isMismatch = srm.pValue < config.srmAlpha;
+      result.srm = srm;
+      
+      if (srm.isMismatch) {
+        Logger.log("Warning: Sample ratio mismatch in '" + adGroupData.name + "' for " + result.testAd.displayId + 
+                   " - " + formatSampleRatio(srm));
+      }
+    });
+  });
+}
+
+/**
+ * Chi-square goodness-of-fit test (1 degree of freedom) of the control's share
+ * of impressions against its expected share
+ */
+function calculateSampleRatioMismatch(controlImpressions, testImpressions, expectedControlShare) {
+  var total = controlImpressions + testImpressions;
+  if (total === 0) {
+    return { expectedShare: expectedControlShare, observedShare: 0, chiSquare: 0, pValue: 1 };
+  }
+  
+  var expectedControl = total * expectedControlShare;
+  var expectedTest = total - expectedControl;
+  var chiSquare = Math.pow(controlImpressions - expectedControl, 2) / expectedControl +
+                  Math.pow(testImpressions - expectedTest, 2) / expectedTest;
+  
+  return {
+    expectedShare: expectedControlShare,
+    observedShare: controlImpressions / total,
+    chiSquare: chiSquare,
+    // With one degree of freedom the chi-square statistic is a squared standard normal
+    pValue: 2 * (1 - normalCdf(Math.sqrt(chiSquare)))
+  };
+}
+
+/**
+ * Returns true if a pair's sample ratio mismatch keeps it out of the summary counts
+ */
+function isExcludedFromSummary(result, config) {
+  return !!(config.excludeSrmFromSummary && result.srm && result.srm.isMismatch);
+}
+
+/**
+ * Adjusts the primary metric p-values of all test results for multiple
+ * comparisons, per ad group or across the whole run, and updates isSignificant.
+ * In Bayesian and sequential mode the decision is left to those modes.
+ */
+function applyMultipleComparisonCorrection(adPerformanceData, config) {
+  var families = [];
+  
+  if (config.correctionScope === "run") {
+    var allResults = [];
+    adPerformanceData.forEach(function(adGroupData) {
+      allResults = allResults.concat(adGroupData.testResults);
+    });
+    families.push(allResults);
+  } else {
+    adPerformanceData.forEach(function(adGroupData) {
+      families.push(adGroupData.testResults);
+    });
+  }
+  
+  families.forEach(function(testResults) {
+    var adjusted = adjustPValues(testResults.map(function(result) {
+      return result.pValue;
+    }), config.multipleComparisonCorrection);
+    
+    testResults.forEach(function(result, i) {
+      result.adjustedPValue = adjusted[i];
+      if (!config.mode || config.mode === "frequentist") {
+        result.isSignificant = isBelowLevel(adjusted[i], config);
+      }
+    });
+  });
+}
+
+/**
+ * Evaluates every test pair against a sequential boundary and persists the
+ * cumulative counts of this run to the state tab, so repeated daily looks do
+ * not inflate false positives. A test is finished (winner or loser) only once
+ * its always-valid p-value drops below the significance level, and futile once
+ * it has run for sequentialMaxDays without doing so. Finished tests keep their
+ * state on later runs.
+ */
+function updateSequentialState(adPerformanceData, config) {
+  var spreadsheet = openResultsSpreadsheet(config);
+  var sheet = spreadsheet.getSheetByName(config.sequentialStateSheetName);
+  if (!sheet) {
+    sheet = spreadsheet.insertSheet(config.sequentialStateSheetName);
+    sheet.appendRow(["Run Date", "Test Key", "Campaign", "Ad Group", "Control Ad ID", "Test Ad ID",
+                     "Control Impressions", "Control Clicks", "Control Conversions", "Control Cost",
+                     "Test Impressions", "Test Clicks", "Test Conversions", "Test Cost",
+                     "Always-valid P-value", "State", "First Seen"]);
+  }
+  
+  // Latest saved row per test; rows are appended in run order
+  var previousStates = {};
+  var values = sheet.getDataRange().getValues();
+  for (var i = 1; i < values.length; i++) {
+    previousStates[values[i][1]] = {
+      controlImpressions: values[i][6],
+      controlClicks: values[i][7],
+      testImpressions: values[i][10],
+      testClicks: values[i][11],
+      alwaysValidPValue: parseFloat(values[i][14]),
+      state: values[i][15],
+      firstSeen: values[i][16]
+    };
+  }
+  
+  var today = getAccountToday();
+  
+  adPerformanceData.forEach(function(adGroupData) {
+    // Asset comparisons have no significance to track
+    if (adGroupData.isAssetView) {
+      return;
+    }
+    adGroupData.testResults.forEach(function(result) {
+      // The control as compared with this test ad, i.e. on the pair's comparison window
+      var controlAd = result.controlAd;
+      var testAd = result.testAd;
+      // Registered tests share the state tab, so their keys start with the test name
+      var key = (config.testName ? config.testName + "/" : "") + adGroupData.id + ":" + controlAd.id + ":" + testAd.id;
+      var previous = previousStates[key];
+      
+      var sequential = {
+        alwaysValidPValue: calculateAlwaysValidPValue(controlAd, testAd, config.primaryMetricForSignificance, config),
+        state: "running",
+        firstSeen: previous ? previous.firstSeen : today,
+        daysRunning: 0
+      };
+      sequential.daysRunning = Math.round((new Date(today) - new Date(sequential.firstSeen)) / 86400000);
+      
+      if (previous && previous.state !== "running") {
+        // Finished tests keep their state
+        sequential.state = previous.state;
+        sequential.alwaysValidPValue = previous.alwaysValidPValue;
+      } else {
+        // Always-valid p-values only ever decrease, as long as every look adds to the
+        // counts of the previous one; fewer counts than last time start a new sequence
+        if (previous && !isNaN(previous.alwaysValidPValue)) {
+          if (isCumulativeLook(previous, controlAd, testAd)) {
+            sequential.alwaysValidPValue = Math.min(sequential.alwaysValidPValue, previous.alwaysValidPValue);
+          } else {
+            Logger.log("Warning: Counts of test " + key + " dropped since the last run, so its sequential test restarts");
+          }
+        }
+        if (sequential.alwaysValidPValue < config.significanceLevel) {
+          sequential.state = result.better ? "winner" : "loser";
+        } else if (sequential.daysRunning >= config.sequentialMaxDays) {
+          sequential.state = "futile";
+        }
+      }
+      
+      result.sequential = sequential;
+      result.isSignificant = sequential.state === "winner" || sequential.state === "loser";
+      
+      sheet.appendRow([today, key, adGroupData.campaignName, adGroupData.name, controlAd.id, testAd.id,
+                       controlAd.impressions, controlAd.clicks, controlAd.conversions || 0, controlAd.cost,
+                       testAd.impressions, testAd.clicks, testAd.conversions || 0, testAd.cost,
+                       sequential.alwaysValidPValue, sequential.state, sequential.firstSeen]);
+    });
+  });
+  
+  Logger.log("Sequential test state saved to tab '" + config.sequentialStateSheetName + "'");
+}
+
+/**
+ * Whether the counts of a pair include at least the counts saved for it on
+ * the previous run
+ */
+function isCumulativeLook(previous, controlAd, testAd) {
+  return controlAd.impressions >= previous.controlImpressions && controlAd.clicks >= previous.controlClicks &&
+         testAd.impressions >= previous.testImpressions && testAd.clicks >= previous.testClicks;
+}
+
+/**
+ * Always-valid p-value of the mixture sequential probability ratio test
+ * (mSPRT) for the difference in a metric, using a normal mixing
+ * distribution scaled to sequentialExpectedLift of the control value
+ */
+function calculateAlwaysValidPValue(controlAd, testAd, metric, config) {
+  var control = getMetricSample(controlAd, metric, config);
+  var test = getMetricSample(testAd, metric, config);
+  if (control.size === 0 || test.size === 0) {
+    return 1;
+  }
+  
+  var variance = control.variance / control.size + test.variance / test.size;
+  var mixingVariance = Math.pow(config.sequentialExpectedLift * control.value, 2);
+  if (variance === 0 || mixingVariance === 0) {
+    return 1;
+  }
+  
+  var difference = test.value - control.value;
+  var logLikelihoodRatio = 0.5 * Math.log(variance / (variance + mixingVariance)) +
+                           difference * difference * mixingVariance / (2 * variance * (variance + mixingVariance));
+  return Math.min(1, Math.exp(-logLikelihoodRatio));
+}
+
+/**
+ * Opens the results spreadsheet, creating one (and remembering its URL in
+ * the config) when none is configured or it can't be opened
+ */
+function openResultsSpreadsheet(config) {
+  if (config.spreadsheetUrl) {
+    try {
+      return SpreadsheetApp.openByUrl(config.spreadsheetUrl);
+    } catch (e) {
+      Logger.log("Error opening spreadsheet: " + e);
+    }
+  }
+  var spreadsheet = SpreadsheetApp.create("Google Ads A/B Test Results");
+  config.spreadsheetUrl = spreadsheet.getUrl();
+  return spreadsheet;
+}
+
+/**
+ * Returns multiple-comparison adjusted p-values in the same order as the input.
+ * Supports "bonferroni", "holm" (step-down family-wise error control) and
+ * "benjamini-hochberg" (false discovery rate control); anything else leaves
+ * the p-values unchanged. Missing (null) p-values are not part of the family
+ * and stay null.
+ */
+function adjustPValues(pValues, method) {
+  var tested = [];
+  pValues.forEach(function(p, i) {
+    if (p !== null) {
+      tested.push(i);
+    }
+  });
+  if (tested.length < pValues.length) {
+    var testedAdjusted = adjustPValues(tested.map(function(i) {
+      return pValues[i];
+    }), method);
+    var withGaps = pValues.map(function() {
+      return null;
+    });
+    tested.forEach(function(index, k) {
+      withGaps[index] = testedAdjusted[k];
+    });
+    return withGaps;
+  }
+  
+  var m = pValues.length;
+  var adjusted = pValues.slice();
+  
+  // Indexes of the p-values from smallest to largest
+  var order = pValues.map(function(p, i) {
+    return i;
+  }).sort(function(x, y) {
+    return pValues[x] - pValues[y];
+  });
+  
+  if (method === "bonferroni") {
+    adjusted = pValues.map(function(p) {
+      return Math.min(1, p * m);
+    });
+  } else if (method === "holm") {
+    var runningMax = 0;
+    for (var k = 0; k < m; k++) {
+      runningMax = Math.max(runningMax, Math.min(1, (m - k) * pValues[order[k]]));
+      adjusted[order[k]] = runningMax;
+    }
+  } else if (method === "benjamini-hochberg") {
+    var runningMin = 1;
+    for (var k = m - 1; k >= 0; k--) {
+      runningMin = Math.min(runningMin, m * pValues[order[k]] / (k + 1));
+      adjusted[order[k]] = runningMin;
+    }
+  }
+  
+  return adjusted;
+}
+
+/**
+ * Display name of the configured multiple-comparison correction
+ */
+function describeCorrection(config) {
+  var names = {
+    "bonferroni": "Bonferroni",
+    "holm": "Holm",
+    "benjamini-hochberg": "Benjamini-Hochberg"
+  };
+  var name = names[config.multipleComparisonCorrection];
+  if (!name) {
+    return "None";
+  }
+  return name + " (per " + (config.correctionScope === "run" ? "run" : "ad group") + ")";
+}
+
+/**
+ * Returns the first control selection rule matching the ad group's campaign
+ * and ad group names, or a final URL rule for controlAdUrl if none match
+ */
+function getControlSelectionRule(adGroupData, config) {
+  var rules = config.controlSelectionRules || [];
+  for (var i = 0; i < rules.length; i++) {
+    var rule = rules[i];
+    if ((!rule.campaignNameContains || adGroupData.campaignName.indexOf(rule.campaignNameContains) !== -1) &&
+        (!rule.adGroupNameContains || adGroupData.name.indexOf(rule.adGroupNameContains) !== -1)) {
+      return rule;
+    }
+  }
+  return { strategy: "url", value: config.controlAdUrl };
+}
+
+/**
+ * Finds the control ad among an ad group's ads with a selection rule.
+ * Returns null if no ad matches.
+ */
+function findControlAd(ads, rule) {
+  if (rule.strategy === "lowestId") {
+    var lowest = null;
+    ads.forEach(function(ad) {
+      if (!lowest || ad.id < lowest.id) {
+        lowest = ad;
+      }
+    });
+    return lowest;
+  }
+  
+  var urlPattern = rule.strategy === "urlRegex" ? new RegExp(rule.value) : null;
+  for (var i = 0; i < ads.length; i++) {
+    var ad = ads[i];
+    var isControl = false;
+    switch (rule.strategy) {
+      case "urlRegex":
+        isControl = !!ad.finalUrl && urlPattern.test(ad.finalUrl);
+        break;
+      case "label":
+        isControl = adHasLabel(ad, rule.value);
+        break;
+      case "adIds":
+        isControl = rule.value.map(String).indexOf(String(ad.id)) !== -1;
+        break;
+      default:
+        isControl = !!ad.finalUrl && ad.finalUrl.indexOf(rule.value) !== -1;
+    }
+    if (isControl) {
+      return ad;
+    }
+  }
+  return null;
+}
+
+/**
+ * Checks whether an ad has a label with the given name
+ */
+function adHasLabel(ad, labelName) {
+  return (ad.labels || []).indexOf(labelName) !== -1;
+}
+
+/**
+ * Describes a control selection rule for warnings and reports
+ */
+function describeControlRule(rule) {
+  switch (rule.strategy) {
+    case "urlRegex":
+      return "final URL matching /" + rule.value + "/";
+    case "label":
+      return "label '" + rule.value + "'";
+    case "adIds":
+      return "ad ID in [" + rule.value.join(", ") + "]";
+    case "lowestId":
+      return "lowest ad ID";
+    default:
+      return "final URL containing '" + rule.value + "'";
+  }
+}
+
+/**
+ * Calculates statistical significance between control and test ad
+ * and computes a composite score based on weighted metrics
+ */
+function calculateSignificance(controlAd, testAd, primaryMetric, config, comparisonDates) {
+  var result = {
+    pValue: 1.0,
+    testMethod: "",
+    relativeDifference: 0,
+    absoluteDifference: 0,
+    better: false,
+    compositeScore: 0,
+    metricResults: {}
+  };
+  
+  // Calculate differences and significance for all metrics
+  // 1. CTR
+  var controlCTR = controlAd.ctr;
+  var testCTR = testAd.ctr;
+  var ctrRelativeDiff = 0;
+  if (controlCTR !== 0) {
+    ctrRelativeDiff = ((testCTR - controlCTR) / controlCTR) * 100;
+  } else if (testCTR !== 0) {
+    ctrRelativeDiff = 100; // If control is 0 and test is not, that's a 100% improvement
+  }
+  
+  result.metricResults.CTR = {
+    control: controlCTR,
+    test: testCTR,
+    relativeDiff: ctrRelativeDiff,
+    absoluteDiff: (testCTR - controlCTR) * 100,
+    better: testCTR > controlCTR
+  };
+  // Clicks out of impressions: Fisher's exact test, or a z-test for large samples
+  addMetricSignificance(result.metricResults.CTR,
+    proportionTest(controlAd.clicks, controlAd.impressions, testAd.clicks, testAd.impressions, config), config);
+  result.metricResults.CTR.liftInterval =
+    proportionLiftInterval(controlAd.clicks, controlAd.impressions, testAd.clicks, testAd.impressions, config);
+  
+  // 2. CPC 
+  var controlCPC = controlAd.avgCpc;
+  var testCPC = testAd.avgCpc;
+  var cpcRelativeDiff = 0;
+  if (controlCPC !== 0) {
+    cpcRelativeDiff = ((testCPC - controlCPC) / controlCPC) * 100;
+  } else if (testCPC !== 0) {
+    cpcRelativeDiff = -100; // Lower CPC is better, so if control is 0 it's worse
+  }
+  
+  result.metricResults.CPC = {
+    control: controlCPC,
+    test: testCPC,
+    relativeDiff: cpcRelativeDiff,
+    absoluteDiff: testCPC - controlCPC,
+    better: testCPC < controlCPC  // Lower CPC is better
+  };
+  // Mean cost per click, with its variance from the per-day values
+  var controlCpcEstimate = dailyRatioEstimate(controlAd, "CPC", config);
+  var testCpcEstimate = dailyRatioEstimate(testAd, "CPC", config);
+  addMetricSignificance(result.metricResults.CPC, meanTest(controlCpcEstimate, testCpcEstimate, config), config);
+  result.metricResults.CPC.liftInterval = meanLiftInterval(controlCpcEstimate, testCpcEstimate, config);
+  
+  // 3. Conversion Rate
+  var controlConvRate = controlAd.convRate || 0;
+  var testConvRate = testAd.convRate || 0;
+  var convRelativeDiff = 0;
+  if (controlConvRate !== 0) {
+    convRelativeDiff = ((testConvRate - controlConvRate) / controlConvRate) * 100;
+  } else if (testConvRate !== 0) {
+    convRelativeDiff = 100; // If control is 0 and test is not, that's a 100% improvement
+  }
+  
+  result.metricResults.Conversions = {
+    control: controlConvRate,
+    test: testConvRate,
+    relativeDiff: convRelativeDiff,
+    absoluteDiff: (testConvRate - controlConvRate) * 100,
+    better: testConvRate > controlConvRate
+  };
+  // Conversions out of clicks
+  addMetricSignificance(result.metricResults.Conversions,
+    proportionTest(controlAd.conversions || 0, controlAd.conversionClicks, testAd.conversions || 0, testAd.conversionClicks, config), config);
+  result.metricResults.Conversions.liftInterval =
+    proportionLiftInterval(controlAd.conversions || 0, controlAd.conversionClicks, testAd.conversions || 0, testAd.conversionClicks, config);
+  
+  // 4. Cost per Conversion
+  var controlCostPerConv = controlAd.costPerConversion || 0;
+  var testCostPerConv = testAd.costPerConversion || 0;
+  var costPerConvRelativeDiff = 0;
+  if (controlCostPerConv !== 0) {
+    costPerConvRelativeDiff = ((testCostPerConv - controlCostPerConv) / controlCostPerConv) * 100;
+  } else if (testCostPerConv !== 0) {
+    costPerConvRelativeDiff = -100; // Lower cost per conversion is better, so if control is 0 it's worse
+  }
+  
+  result.metricResults.CostPerConversion = {
+    control: controlCostPerConv,
+    test: testCostPerConv,
+    relativeDiff: costPerConvRelativeDiff,
+    absoluteDiff: testCostPerConv - controlCostPerConv,
+    // An ad without conversions has no cost per conversion, so it can't be better
+    better: testCostPerConv > 0 && (controlCostPerConv === 0 || testCostPerConv < controlCostPerConv)
+  };
+  // Mean cost per conversion, with its variance from the per-day values
+  var controlCostPerConvEstimate = dailyRatioEstimate(controlAd, "CostPerConversion", config);
+  var testCostPerConvEstimate = dailyRatioEstimate(testAd, "CostPerConversion", config);
+  addMetricSignificance(result.metricResults.CostPerConversion,
+    meanTest(controlCostPerConvEstimate, testCostPerConvEstimate, config), config);
+  result.metricResults.CostPerConversion.liftInterval =
+    meanLiftInterval(controlCostPerConvEstimate, testCostPerConvEstimate, config);
+  
+  // 5-7. Conversion value per click, ROAS and average order value
+  ["ConvValuePerClick", "ROAS", "AOV"].forEach(function(metric) {
+    result.metricResults[metric] = compareValueMetric(controlAd, testAd, metric, comparisonDates, config);
+  });
+  
+  // Headline result comes from the primary metric
+  var primary = result.metricResults[primaryMetric];
+  result.pValue = primary.pValue;
+  result.testMethod = primary.testMethod;
+  result.relativeDifference = primary.relativeDiff;
+  result.absoluteDifference = primary.absoluteDiff;
+  result.better = primary.better;
+  
+  // Calculate weighted composite score
+  result.compositeScore = calculateCompositeScore(controlAd, testAd, config);
+  
+  return result;
+}
+
+/**
+ * Compares a conversion value metric (ConvValuePerClick, ROAS or AOV) of a
+ * test ad with the control with a bootstrap over days. Without enough daily
+ * data no p-value is reported.
+ */
+function compareValueMetric(controlAd, testAd, metric, comparisonDates, config) {
+  var controlValue = getMetricValue(controlAd, metric);
+  var testValue = getMetricValue(testAd, metric);
+  var higherIsBetter = isHigherBetter(metric, config);
+  var relativeDiff = 0;
+  if (controlValue !== 0) {
+    relativeDiff = ((testValue - controlValue) / controlValue) * 100;
+  } else if (testValue !== 0) {
+    relativeDiff = 100;
+  }
+  
+  var metricResult = {
+    control: controlValue,
+    test: testValue,
+    relativeDiff: relativeDiff,
+    absoluteDiff: testValue - controlValue,
+    better: higherIsBetter ? testValue > controlValue : testValue < controlValue,
+    liftInterval: null
+  };
+  
+  var bootstrap = controlAd.daily && testAd.daily ?
+    bootstrapValueMetric(controlAd, testAd, metric, comparisonDates, config) : null;
+  if (bootstrap) {
+    addMetricSignificance(metricResult, bootstrap, config);
+    metricResult.liftInterval = bootstrap.liftInterval;
+    return metricResult;
+  }
+  
+  // Without enough daily data there is no honest spread to test against
+  var testResult = { pValue: null, method: "Not tested (needs " + config.valueBootstrapMinDays + "+ days of daily data)" };
+  addMetricSignificance(metricResult, testResult, config);
+  return metricResult;
+}
+
+/**
+ * Bootstrap test of a conversion value metric over the compared days. Days are
+ * resampled with replacement and both ads' totals are recomputed from the same
+ * resampled days, so day-to-day swings in revenue (a single large order)
+ * widen the result instead of being averaged away. The p-value is twice the
+ * share of resamples on the less likely side of zero difference. Returns null
+ * if there are too few days with data.
+ */
+function bootstrapValueMetric(controlAd, testAd, metric, comparisonDates, config) {
+  var today = getAccountToday();
+  var dates = comparisonDates || Object.keys(testAd.daily).filter(function(date) {
+    return !!controlAd.daily[date];
+  });
+  
+  // Numerator and denominator of the metric for each day, after the conversion lag adjustment
+  var days = [];
+  dates.forEach(function(date) {
+    var controlDay = controlAd.daily[date] && getLagAdjustedDay(controlAd.daily[date], date, today, config);
+    var testDay = testAd.daily[date] && getLagAdjustedDay(testAd.daily[date], date, today, config);
+    if (controlDay && testDay) {
+      days.push({ control: ratioMetricParts(controlDay, metric), test: ratioMetricParts(testDay, metric) });
+    }
+  });
+  if (days.length < config.valueBootstrapMinDays) {
+    return null;
+  }
+  
+  var lower = 0;
+  var upper = 0;
+  var lifts = [];
+  var samples = config.valueBootstrapSamples;
+  for (var i = 0; i < samples; i++) {
+    var control = { value: 0, base: 0 };
+    var test = { value: 0, base: 0 };
+    for (var j = 0; j < days.length; j++) {
+      var day = days[Math.floor(Math.random() * days.length)];
+      control.value += day.control.value;
+      control.base += day.control.base;
+      test.value += day.test.value;
+      test.base += day.test.base;
+    }
+    var controlRatio = control.base > 0 ? control.value / control.base : 0;
+    var testRatio = test.base > 0 ? test.value / test.base : 0;
+    if (testRatio <= controlRatio) {
+      lower++;
+    }
+    if (testRatio >= controlRatio) {
+      upper++;
+    }
+    if (controlRatio > 0) {
+      lifts.push(testRatio / controlRatio - 1);
+    }
+  }
+  
+  return {
+    pValue: Math.min(1, 2 * Math.min(lower, upper) / samples),
+    method: "Bootstrap (" + days.length + " days)",
+    liftInterval: lifts.length > 0 ? sampleInterval(lifts, config.significanceLevel / 2) : null
+  };
+}
+
+/**
+ * Splits a day's data into the numerator and denominator of a ratio metric
+ * (cost per click, cost per conversion or a conversion value metric)
+ */
+function ratioMetricParts(day, metric) {
+  switch (metric) {
+    case "CPC":
+      return { value: day.cost, base: day.clicks };
+    case "CostPerConversion":
+    case "CPA":
+      return { value: day.cost, base: day.conversions };
+    case "ROAS":
+      return { value: day.conversionValue, base: day.cost };
+    case "AOV":
+      return { value: day.conversionValue, base: day.conversions };
+    default:
+      return { value: day.conversionValue, base: day.clicks };
+  }
+}
+
+/**
+ * Estimates a ratio metric (e.g. cost over clicks) and the variance of that
+ * estimate from an ad's per-day values on its compared days, treating days as
+ * the independent units (linearised ratio estimator). Conversion-based metrics
+ * use the lag-adjusted days. Returns null without daily data or with fewer
+ * than meanTestMinDays days that have a denominator.
+ */
+function dailyRatioEstimate(ad, metric, config) {
+  if (!ad.daily) {
+    return null;
+  }
+  
+  var today = getAccountToday();
+  var usesConversions = metric !== "CPC";
+  var days = [];
+  var totalValue = 0;
+  var totalBase = 0;
+  (ad.comparisonDates || Object.keys(ad.daily)).forEach(function(date) {
+    var day = ad.daily[date];
+    if (day && usesConversions) {
+      day = getLagAdjustedDay(day, date, today, config);
+    }
+    if (!day) {
+      return;
+    }
+    var parts = ratioMetricParts(day, metric);
+    if (parts.base > 0) {
+      days.push(parts);
+    }
+    totalValue += parts.value;
+    totalBase += parts.base;
+  });
+  if (days.length < Math.max(2, config.meanTestMinDays) || totalBase <= 0) {
+    return null;
+  }
+  
+  // Var(ratio) is approximately n / (n - 1) * sum((value - ratio * base)^2) / (total base)^2
+  var ratio = totalValue / totalBase;
+  var sumOfSquares = days.reduce(function(sum, day) {
+    return sum + Math.pow(day.value - ratio * day.base, 2);
+  }, 0);
+  return {
+    value: ratio,
+    variance: days.length / (days.length - 1) * sumOfSquares / (totalBase * totalBase),
+    days: days.length,
+    base: totalBase
+  };
+}
+
+/**
+ * Bayesian comparison of a test ad against the control for CTR and conversion
+ * rate. The decision metric is the primary metric, one of these two.
+ */
+function calculateBayesianResults(controlAd, testAd, config) {
+  var result = {
+    decisionMetric: config.primaryMetricForSignificance,
+    isDecisive: false,
+    metricResults: {}
+  };
+  
+  // CTR: clicks out of impressions
+  result.metricResults.CTR = bayesianProportionComparison(
+    controlAd.clicks, controlAd.impressions, testAd.clicks, testAd.impressions,
+    isHigherBetter("CTR", config), config);
+  
+  // Conversion rate: conversions out of clicks
+  result.metricResults.Conversions = bayesianProportionComparison(
+    controlAd.conversions || 0, controlAd.conversionClicks, testAd.conversions || 0, testAd.conversionClicks,
+    isHigherBetter("Conversions", config), config);
+  
+  // A result is called when the test ad is very likely to win or very likely to lose
+  var probability = result.metricResults[result.decisionMetric].probabilityToBeatControl;
+  result.isDecisive = probability >= config.bayesianDecisionThreshold ||
+                      probability <= 1 - config.bayesianDecisionThreshold;
+  
+  return result;
+}
+
+/**
+ * Compares two Beta-Binomial posteriors by Monte Carlo sampling.
+ * Returns the probability that the test rate beats the control rate, the
+ * expected loss (in rate units) of choosing the test ad, and credible
+ * intervals for both rates and for the relative lift of the test ad.
+ */
+function bayesianProportionComparison(controlSuccesses, controlTrials, testSuccesses, testTrials, higherIsBetter, config) {
+  var prior = config.bayesianPrior;
+  var samples = config.bayesianSamples;
+  
+  // Conversions can be fractional, so work with whole counts
+  var a = Math.round(controlSuccesses);
+  var c = Math.round(testSuccesses);
+  var n1 = Math.max(Math.round(controlTrials), a);
+  var n2 = Math.max(Math.round(testTrials), c);
+  
+  var controlDraws = [];
+  var testDraws = [];
+  var liftDraws = [];
+  var wins = 0;
+  var totalLoss = 0;
+  
+  for (var i = 0; i < samples; i++) {
+    var controlRate = sampleBeta(prior.alpha + a, prior.beta + n1 - a);
+    var testRate = sampleBeta(prior.alpha + c, prior.beta + n2 - c);
+    // Positive difference means the test ad is better
+    var difference = higherIsBetter ? testRate - controlRate : controlRate - testRate;
+    
+    if (difference > 0) {
+      wins++;
+    } else {
+      totalLoss -= difference;
+    }
+    
+    controlDraws.push(controlRate);
+    testDraws.push(testRate);
+    liftDraws.push(controlRate > 0 ? (testRate - controlRate) / controlRate : 0);
+  }
+  
+  var tail = (1 - config.credibleIntervalLevel) / 2;
+  return {
+    probabilityToBeatControl: wins / samples,
+    expectedLoss: totalLoss / samples,
+    controlInterval: sampleInterval(controlDraws, tail),
+    testInterval: sampleInterval(testDraws, tail),
+    liftInterval: sampleInterval(liftDraws, tail)
+  };
+}
+
+/**
+ * Returns the [tail, 1 - tail] quantiles of a list of posterior draws
+ */
+function sampleInterval(draws, tail) {
+  draws.sort(function(x, y) {
+    return x - y;
+  });
+  var last = draws.length - 1;
+  return [
+    draws[Math.floor(tail * last)],
+    draws[Math.ceil((1 - tail) * last)]
+  ];
+}
+
+/**
+ * Draws from a Beta(alpha, beta) distribution using two gamma draws
+ */
+function sampleBeta(alpha, beta) {
+  var x = sampleGamma(alpha);
+  var y = sampleGamma(beta);
+  return x / (x + y);
+}
+
+/**
+ * Draws from a Gamma(shape, 1) distribution (Marsaglia and Tsang's method)
+ */
+function sampleGamma(shape) {
+  if (shape < 1) {
+    // Boost the shape above 1 and scale the draw back down
+    return sampleGamma(shape + 1) * Math.pow(Math.random(), 1 / shape);
+  }
+  
+  var d = shape - 1 / 3;
+  var c = 1 / Math.sqrt(9 * d);
+  while (true) {
+    var x = sampleStandardNormal();
+    var v = Math.pow(1 + c * x, 3);
+    if (v > 0) {
+      var u = Math.random();
+      if (Math.log(u) < 0.5 * x * x + d - d * v + d * Math.log(v)) {
+        return d * v;
+      }
+    }
+  }
+}
+
+/**
+ * Draws from a standard normal distribution (Box-Muller transform)
+ */
+function sampleStandardNormal() {
+  var u = 1 - Math.random(); // Avoid log(0)
+  var v = Math.random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/**
+ * Returns the per-unit value, sample size, per-unit variance and recent sample
+ * size of an ad for a metric, as used by the power calculations and the
+ * composite score. Rates are binomial; the other metrics are ratios whose
+ * variance comes from the per-day values (dailyRatioEstimate), with a sample
+ * size of 0 (nothing to compare) when there aren't enough days.
+ */
+function getMetricSample(ad, metric, config) {
+  switch (metric) {
+    case "Conversions":
+      var convRate = getMetricValue(ad, metric);
+      return { value: convRate, size: ad.conversionClicks, variance: convRate * (1 - convRate), recentSize: ad.recentClicks };
+    case "CPC":
+    case "ConvValuePerClick":
+      return ratioMetricSample(ad, metric, ad.recentClicks, config);
+    case "CostPerConversion":
+    case "CPA":
+    case "AOV":
+      return ratioMetricSample(ad, metric, ad.recentConversions || 0, config);
+    case "ROAS":
+      // Recent cost at the ad's average cost per click
+      return ratioMetricSample(ad, metric, (ad.recentClicks || 0) * (ad.avgCpc || 0), config);
+    default:
+      return { value: ad.ctr, size: ad.impressions, variance: ad.ctr * (1 - ad.ctr), recentSize: ad.recentImpressions };
+  }
+}
+
+/**
+ * Sample of a ratio metric measured per unit of its denominator (clicks,
+ * conversions or cost), so that variance / size is the variance of the ratio
+ */
+function ratioMetricSample(ad, metric, recentSize, config) {
+  var estimate = dailyRatioEstimate(ad, metric, config);
+  if (!estimate) {
+    return { value: getMetricValue(ad, metric), size: 0, variance: 0, recentSize: recentSize };
+  }
+  return { value: estimate.value, size: estimate.base, variance: estimate.variance * estimate.base, recentSize: recentSize };
+}
+
+/**
+ * Estimates the power reached so far for the observed difference in a metric,
+ * the minimum detectable effect (relative to the control) at the current
+ * sample and target power, and the number of further days needed to reach
+ * significance at the pair's recent daily traffic rate.
+ * daysToSignificance is 0 once the target power is reached and null when it
+ * can't be estimated (no observed difference, no recent traffic or a recent
+ * range of unknown length).
+ */
+function calculatePowerAnalysis(controlAd, testAd, metric, config) {
+  var result = {
+    power: 0,
+    minimumDetectableEffect: null,
+    daysToSignificance: null
+  };
+  
+  var control = getMetricSample(controlAd, metric, config);
+  var test = getMetricSample(testAd, metric, config);
+  if (control.size === 0 || test.size === 0) {
+    return result;
+  }
+  
+  var zAlpha = normalQuantile(1 - config.significanceLevel / 2);
+  var zPower = normalQuantile(config.targetPower);
+  var difference = Math.abs(test.value - control.value);
+  var standardError = Math.sqrt(control.variance / control.size + test.variance / test.size);
+  
+  // Power of a two-tailed test for the observed difference
+  if (standardError > 0) {
+    var effectSize = difference / standardError;
+    result.power = normalCdf(effectSize - zAlpha) + normalCdf(-effectSize - zAlpha);
+  }
+  
+  // Smallest difference detectable with the target power, assuming both ads share the control's variance
+  if (control.value !== 0) {
+    var nullStandardError = Math.sqrt(control.variance / control.size + control.variance / test.size);
+    result.minimumDetectableEffect = (zAlpha + zPower) * nullStandardError / control.value;
+  }
+  
+  if (difference === 0 || standardError === 0) {
+    return result;
+  }
+  
+  // The standard error shrinks with the square root of the sample, so the sample
+  // has to grow by (current / required standard error)^2
+  var requiredStandardError = difference / (zAlpha + zPower);
+  if (standardError <= requiredStandardError) {
+    result.daysToSignificance = 0;
+    return result;
+  }
+  
+  var recentDays = daysInDateRange(config.recentRateDateRange);
+  var dailySize = recentDays ? (control.recentSize + test.recentSize) / recentDays : 0;
+  if (dailySize > 0) {
+    var growth = Math.pow(standardError / requiredStandardError, 2);
+    var additionalSize = (growth - 1) * (control.size + test.size);
+    result.daysToSignificance = Math.ceil(additionalSize / dailySize);
+  }
+  
+  return result;
+}
+
+/**
+ * Number of days covered by a predefined date range, counted from today's
+ * date, or null for a range whose length isn't known (e.g. ALL_TIME)
+ */
+function daysInDateRange(dateRange) {
+  var match = /^LAST_(\d+)_DAYS$/.exec(dateRange);
+  if (match) {
+    return parseInt(match[1], 10);
+  }
+  
+  var today = new Date(getAccountToday() + "T00:00:00Z");
+  switch (dateRange) {
+    case "TODAY":
+    case "YESTERDAY":
+      return 1;
+    case "LAST_BUSINESS_WEEK":
+      return 5;
+    case "LAST_WEEK_SUN_SAT":
+    case "LAST_WEEK_MON_SUN":
+      return 7;
+    case "THIS_WEEK_SUN_TODAY":
+      return today.getUTCDay() + 1;
+    case "THIS_WEEK_MON_TODAY":
+      return (today.getUTCDay() + 6) % 7 + 1;
+    case "THIS_MONTH":
+      return today.getUTCDate();
+    case "LAST_MONTH":
+      // Day 0 of this month is the last day of the previous one
+      return new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), 0)).getUTCDate();
+    default:
+      return null;
+  }
+}
+
+/**
+ * Stores a significance test result on a metric result
+ */
+function addMetricSignificance(metricResult, testResult, config) {
+  metricResult.pValue = testResult.pValue;
+  metricResult.testMethod = testResult.method;
+  metricResult.isSignificant = isBelowLevel(testResult.pValue, config);
+}
+
+/**
+ * Whether a p-value is below the significance level; a missing (null)
+ * p-value never is
+ */
+function isBelowLevel(pValue, config) {
+  return pValue !== null && pValue < config.significanceLevel;
+}
+
+/**
+ * Calculates composite score based on weighted metrics.
+ * Each metric scores the probability-scale value of its lift divided by the
+ * standard error of that lift, so a large, well-measured lift scores close to
+ * 1 (or 0 when it goes the wrong way) and a small or noisy one stays close to
+ * 0.5. The score is the weighted sum of the metric scores.
+ */
+function calculateCompositeScore(controlAd, testAd, config) {
+  var weights = config.metricWeights;
+  var score = 0;
+  
+  Object.keys(weights).forEach(function(metric) {
+    var control = getMetricSample(controlAd, metric, config);
+    var test = getMetricSample(testAd, metric, config);
+    score += weights[metric] * calculateMetricScore(control, test, isHigherBetter(metric, config));
+  });
+  
+  return score;
+}
+
+/**
+ * Scores the test sample against the control sample of one metric on a 0-1 scale
+ */
+function calculateMetricScore(control, test, higherIsBetter) {
+  if (control.size === 0 || test.size === 0) {
+    return 0.5; // Nothing to compare
+  }
+  
+  var difference = higherIsBetter ? test.value - control.value : control.value - test.value;
+  var standardError = Math.sqrt(control.variance / control.size + test.variance / test.size);
+  
+  if (standardError === 0) {
+    if (difference === 0) {
+      return 0.5;
+    }
+    return difference > 0 ? 1 : 0;
+  }
+  
+  return normalCdf(difference / standardError);
+}
+
+/**
+ * Whether higher values of a metric are better, from metricDirection or the
+ * metric's natural direction when it isn't configured
+ */
+function isHigherBetter(metric, config) {
+  var directions = config.metricDirection || {};
+  if (directions.hasOwnProperty(metric)) {
+    return directions[metric];
+  }
+  return ["CPC", "CostPerConversion", "CPA"].indexOf(metric) === -1;
+}
+
+/**
+ * Tests the difference between two proportions (successes out of trials).
+ * Uses Fisher's exact test when the combined sample is small enough for exact
+ * summation, otherwise falls back to a pooled two-proportion z-test.
+ */
+function proportionTest(controlSuccesses, controlTrials, testSuccesses, testTrials, config) {
+  // Conversions can be fractional, so work with whole counts
+  var a = Math.round(controlSuccesses);
+  var c = Math.round(testSuccesses);
+  var n1 = Math.max(Math.round(controlTrials), a);
+  var n2 = Math.max(Math.round(testTrials), c);
+  
+  if (n1 + n2 <= config.exactTestMaxSampleSize) {
+    return fisherExactTest(a, n1 - a, c, n2 - c);
+  }
+  return twoProportionZTest(a, n1, c, n2);
+}
+
+/**
+ * Implements a two-tailed Fisher's Exact Test for calculating p-values
+ * a, b, c, d represent the 2x2 contingency table:
+ * [ a  b ]
+ * [ c  d ]
+ * The p-value is the sum of the probabilities of all tables with the same
+ * margins that are as or less likely than the observed one.
+ */
+function fisherExactTest(a, b, c, d) {
+  var row1 = a + b;
+  var row2 = c + d;
+  var col1 = a + c;
+  var n = row1 + row2;
+  
+  // Log of the hypergeometric probability of a table with x in the top-left cell
+  var logConstant = logFactorial(row1) + logFactorial(row2) + logFactorial(col1) +
+                    logFactorial(n - col1) - logFactorial(n);
+  function logProbability(x) {
+    return logConstant - logFactorial(x) - logFactorial(row1 - x) -
+           logFactorial(col1 - x) - logFactorial(row2 - col1 + x);
+  }
+  
+  var observed = logProbability(a);
+  var minX = Math.max(0, col1 - row2);
+  var maxX = Math.min(row1, col1);
+  var pValue = 0;
+  
+  for (var x = minX; x <= maxX; x++) {
+    var logP = logProbability(x);
+    // Relative tolerance so tables tied with the observed one are not lost to rounding
+    if (logP <= observed + 1e-7) {
+      pValue += Math.exp(logP);
+    }
+  }
+  
+  return {
+    pValue: Math.min(1, pValue),
+    method: "Fisher exact"
+  };
+}
+
+/**
+ * Two-tailed pooled two-proportion z-test (equivalent to a 2x2 chi-square test
+ * without continuity correction)
+ */
+function twoProportionZTest(controlSuccesses, controlTrials, testSuccesses, testTrials) {
+  var result = {
+    pValue: 1.0,
+    method: "Z-test"
+  };
+  
+  if (controlTrials === 0 || testTrials === 0) {
+    return result;
+  }
+  
+  var p1 = controlSuccesses / controlTrials;
+  var p2 = testSuccesses / testTrials;
+  var pooled = (controlSuccesses + testSuccesses) / (controlTrials + testTrials);
+  var standardError = Math.sqrt(pooled * (1 - pooled) * (1 / controlTrials + 1 / testTrials));
+  
+  if (standardError > 0) {
+    var z = (p2 - p1) / standardError;
+    result.pValue = Math.min(1, 2 * (1 - normalCdf(Math.abs(z))));
+  }
+  
+  return result;
+}
+
+/**
+ * Confidence interval for the relative lift of a test proportion over the
+ * control proportion at the 1 - significanceLevel level, from the Katz
+ * log-ratio interval for the ratio of the two proportions, which accounts for
+ * the uncertainty of both. Half a success is added to an empty test group.
+ * Returns null when the control proportion is 0.
+ */
+function proportionLiftInterval(controlSuccesses, controlTrials, testSuccesses, testTrials, config) {
+  if (controlTrials === 0 || testTrials === 0 || controlSuccesses <= 0) {
+    return null;
+  }
+  if (testSuccesses <= 0) {
+    testSuccesses = 0.5;
+  }
+  
+  var z = normalQuantile(1 - config.significanceLevel / 2);
+  var logRatio = Math.log((testSuccesses / testTrials) / (controlSuccesses / controlTrials));
+  // Var(log p) is approximately 1 / successes - 1 / trials
+  var standardError = Math.sqrt(Math.max(0, 1 / testSuccesses - 1 / testTrials + 1 / controlSuccesses - 1 / controlTrials));
+  return [Math.exp(logRatio - z * standardError) - 1, Math.exp(logRatio + z * standardError) - 1];
+}
+
+/**
+ * Confidence interval for the relative lift of a test mean (cost per click or
+ * cost per conversion) over the control mean at the 1 - significanceLevel
+ * level, using the delta method on the log of the ratio of the two means with
+ * the variances of dailyRatioEstimate. Returns null without an estimate for
+ * both ads or when either mean is 0.
+ */
+function meanLiftInterval(control, test, config) {
+  if (!control || !test || control.value <= 0 || test.value <= 0) {
+    return null;
+  }
+  
+  var z = normalQuantile(1 - config.significanceLevel / 2);
+  // Var(log mean) is approximately Var(mean) / mean^2
+  var standardError = Math.sqrt(control.variance / (control.value * control.value) +
+                                test.variance / (test.value * test.value));
+  var logRatio = Math.log(test.value / control.value);
+  return [Math.exp(logRatio - z * standardError) - 1, Math.exp(logRatio + z * standardError) - 1];
+}
+
+/**
+ * Two-tailed Welch z-test on the difference between two means, e.g. cost per
+ * click or cost per conversion, from the estimates of dailyRatioEstimate.
+ * Without an estimate for both ads the p-value is null (not tested).
+ */
+function meanTest(control, test, config) {
+  if (!control || !test) {
+    return { pValue: null, method: "Not tested (needs " + config.meanTestMinDays + "+ days of daily data)" };
+  }
+  
+  var result = {
+    pValue: 1.0,
+    method: "Welch z-test (" + Math.min(control.days, test.days) + " days)"
+  };
+  
+  var standardError = Math.sqrt(control.variance + test.variance);
+  if (standardError > 0) {
+    var z = (test.value - control.value) / standardError;
+    result.pValue = Math.min(1, 2 * (1 - normalCdf(Math.abs(z))));
+  }
+  
+  return result;
+}
+
+/**
+ * Inverse of the standard normal cumulative distribution function
+ * (Acklam's rational approximation)
+ */
+function normalQuantile(p) {
+  var a = [-3.969683028665376e+01, 2.209460984245205e+02, -2.759285104469687e+02,
+           1.383577518672690e+02, -3.066479806614716e+01, 2.506628277459239e+00];
+  var b = [-5.447609879822406e+01, 1.615858368580409e+02, -1.556989798598866e+02,
+           6.680131188771972e+01, -1.328068155288572e+01];
+  var c = [-7.784894002430293e-03, -3.223964580411365e-01, -2.400758277161838e+00,
+           -2.549732539343734e+00, 4.374664141464968e+00, 2.938163982698783e+00];
+  var d = [7.784695709041462e-03, 3.224671290700398e-01, 2.445134137142996e+00,
+           3.754408661907416e+00];
+  var pLow = 0.02425;
+  var q, r;
+  
+  if (p <= 0) {
+    return -Infinity;
+  }
+  if (p >= 1) {
+    return Infinity;
+  }
+  if (p < pLow) {
+    q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+           ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  if (p > 1 - pLow) {
+    q = Math.sqrt(-2 * Math.log(1 - p));
+    return -(((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+            ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  q = p - 0.5;
+  r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+         (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+/**
+ * Natural log of n! computed through the log-gamma function, so large
+ * impression counts do not need a loop per call
+ */
+function logFactorial(n) {
+  return n < 2 ? 0 : logGamma(n + 1);
+}
+
+/**
+ * Lanczos approximation of the log-gamma function (x > 0)
+ */
+function logGamma(x) {
+  var coefficients = [
+    76.18009172947146, -86.50532032941677, 24.01409824083091,
+    -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5
+  ];
+  var y = x;
+  var tmp = x + 5.5;
+  tmp -= (x + 0.5) * Math.log(tmp);
+  var series = 1.000000000190015;
+  for (var i = 0; i < coefficients.length; i++) {
+    series += coefficients[i] / ++y;
+  }
+  return -tmp + Math.log(2.5066282746310005 * series / x);
+}
+
+/**
+ * Standard normal cumulative distribution function
+ */
+function normalCdf(z) {
+  // Abramowitz and Stegun 7.1.26 approximation of the error function
+  var x = Math.abs(z) / Math.SQRT2;
+  var t = 1 / (1 + 0.3275911 * x);
+  var erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+  return z >= 0 ? 0.5 * (1 + erf) : 0.5 * (1 - erf);
+}
+
+/**
+ * Labels winning ads, pauses losing test ads and pauses the control when a
+ * challenger wins, depending on the config. In dry-run mode the changes are
+ * only listed. Changes beyond maxChangesPerRun are skipped, in dry runs too. Every planned
+ * change is logged and written to the change log tab, and changes the log shows as
+ * applied on an earlier run (e.g. finished sequential tests) are not planned again.
+ */
+function applyTestActions(results, config) {
+  if (!config.labelWinningAds && !config.pauseLosingAds && !config.pauseControlWhenChallengerWins) {
+    return [];
+  }
+  
+  var changes = [];
+  var changeCount = 0;
+  var appliedChanges = config.outputToSheet ? readAppliedChanges(config) : {};
+  
+  function planChange(adGroupData, ad, action, reason) {
+    if (appliedChanges[ad.id + ":" + action]) {
+      Logger.log("Skipping " + action + " of ad " + ad.id + " in '" + adGroupData.name + "' - already applied on an earlier run");
+      return;
+    }
+    
+    var change = {
+      campaignName: adGroupData.campaignName,
+      adGroupName: adGroupData.name,
+      adId: ad.id,
+      action: action,
+      reason: reason,
+      status: "DRY RUN"
+    };
+    
+    if (changeCount >= config.maxChangesPerRun) {
+      change.status = "SKIPPED (limit reached)";
+    } else if (config.actionsDryRun) {
+      changeCount++;
+    } else {
+      try {
+        var entity = getAdEntity(ad);
+        if (action === "LABEL") {
+          entity.applyLabel(config.winnerLabelName);
+        } else {
+          entity.pause();
+        }
+        change.status = "APPLIED";
+        changeCount++;
+      } catch (e) {
+        change.status = "FAILED: " + e;
+      }
+    }
+    
+    Logger.log("[" + change.status + "] " + action + " ad " + ad.id + " in '" + adGroupData.name + "' - " + reason);
+    changes.push(change);
+  }
+  
+  if (config.labelWinningAds && !config.actionsDryRun) {
+    ensureLabelExists(config.winnerLabelName);
+  }
+  
+  results.forEach(function(adGroupData) {
+    var challengerWon = false;
+    
+    // Pooled landing pages and assets are not ad entities
+    if (adGroupData.isLandingPageView) {
+      Logger.log("Skipping actions for the landing page comparison - labels and pauses apply to individual ads");
+      return;
+    }
+    if (adGroupData.isAssetView) {
+      Logger.log("Skipping actions for " + adGroupData.name + " - labels and pauses apply to individual ads");
+      return;
+    }
+    // Experiments are applied or ended in the Google Ads UI
+    if (adGroupData.isExperiment) {
+      Logger.log("Skipping actions for " + adGroupData.name + " - apply or end experiments in Google Ads");
+      return;
+    }
+    
+    adGroupData.testResults.forEach(function(result) {
+      if (!result.isSignificant) {
+        return;
+      }
+      // A pair with a broken traffic split can't be trusted to act on
+      if (result.srm && result.srm.isMismatch) {
+        Logger.log("Skipping actions for ad " + result.testAd.id + " in '" + adGroupData.name + "' - sample ratio mismatch");
+        return;
+      }
+      
+      // The primary metric and the composite score have to agree on the direction
+      if (result.better !== result.isBetterOverall) {
+        Logger.log("Skipping actions for ad " + result.testAd.id + " in '" + adGroupData.name + "' - " +
+                   config.primaryMetricForSignificance + " and the composite score disagree");
+        return;
+      }
+      
+      if (result.better) {
+        challengerWon = true;
+        if (config.labelWinningAds) {
+          planChange(adGroupData, result.testAd, "LABEL", "Significant winner against control " + adGroupData.controlAd.id);
+        }
+      } else if (config.pauseLosingAds) {
+        planChange(adGroupData, result.testAd, "PAUSE", "Significant loser against control " + adGroupData.controlAd.id);
+      }
+    });
+    
+    if (challengerWon && config.pauseControlWhenChallengerWins) {
+      planChange(adGroupData, adGroupData.controlAd, "PAUSE", "Control beaten by a significant challenger");
+    }
+  });
   
-  // For backward compatibility with primary metric
-  if (primaryMetric === "CTR") {
-    result.relativeDifference = result.metricResults.CTR.relativeDiff;
-    result.absoluteDifference = result.metricResults.CTR.absoluteDiff;
-    result.better = result.metricResults.CTR.better;
+  if (changes.length > 0 && config.outputToSheet) {
+    writeChangeLog(changes, config);
   }
   
-  // Calculate weighted composite score
-  result.compositeScore = calculateCompositeScore(controlAd, testAd, config);
-  
-  return result;
+  return changes;
 }
 
 /**
- * Calculates composite score based on weighted metrics
+ * Looks up the AdsApp ad entity of an analysed ad for labelling and pausing
  */
-function calculateCompositeScore(controlAd, testAd, config) {
-  var weights = config.metricWeights;
-  var directions = config.metricDirection;
-  var score = 0;
-  
-  // Normalize each metric to 0-1 scale and apply weights
-  
-  // 1. CTR (higher is better)
-  var maxCTR = Math.max(controlAd.ctr, testAd.ctr);
-  var minCTR = Math.min(controlAd.ctr, testAd.ctr);
-  var ctrScore = 0.5; // Default if both are equal
-  
-  if (maxCTR !== minCTR) {
-    var denominator = maxCTR - minCTR;
-    if (denominator === 0) {
-      denominator = 0.0001; // Avoid division by zero
-    }
-    ctrScore = (testAd.ctr - minCTR) / denominator;
+function getAdEntity(ad) {
+  var adIterator = AdsApp.ads()
+    .withIds([[ad.adGroupId, ad.id]])
+    .get();
+  if (!adIterator.hasNext()) {
+    throw new Error("Ad " + ad.id + " not found");
   }
-  
-  if (!directions.CTR) {
-    ctrScore = 1 - ctrScore;
+  return adIterator.next();
+}
+
+/**
+ * Creates an account label if it doesn't exist yet
+ */
+function ensureLabelExists(labelName) {
+  var labelIterator = AdsApp.labels()
+    .withCondition("Name = '" + labelName + "'")
+    .get();
+  if (!labelIterator.hasNext()) {
+    AdsApp.createLabel(labelName);
+  }
+}
+
+/**
+ * Returns the changes the change log tab shows as applied, keyed by
+ * "adId:action"
+ */
+function readAppliedChanges(config) {
+  var applied = {};
+  var sheet = openResultsSpreadsheet(config).getSheetByName(config.changeLogSheetName);
+  if (!sheet) {
+    return applied;
   }
   
-  // 2. CPC (lower is better)
-  var maxCPC = Math.max(controlAd.avgCpc, testAd.avgCpc);
-  var minCPC = Math.min(controlAd.avgCpc, testAd.avgCpc);
-  var cpcScore = 0.5; // Default if both are equal
-  
-  if (maxCPC !== minCPC) {
-    var denominator = maxCPC - minCPC;
-    if (denominator === 0) {
-      denominator = 0.0001; // Avoid division by zero
+  var values = sheet.getDataRange().getValues();
+  for (var i = 1; i < values.length; i++) {
+    if (values[i][6] === "APPLIED") {
+      applied[values[i][3] + ":" + values[i][4]] = true;
     }
-    cpcScore = (maxCPC - testAd.avgCpc) / denominator;
   }
+  return applied;
+}
+
+/**
+ * Appends the planned and applied changes to the change log tab
+ */
+function writeChangeLog(changes, config) {
+  var spreadsheet = openResultsSpreadsheet(config);
+  var sheet = spreadsheet.getSheetByName(config.changeLogSheetName);
+  if (!sheet) {
+    sheet = spreadsheet.insertSheet(config.changeLogSheetName);
+    sheet.appendRow(["Date", "Campaign", "Ad Group", "Ad ID", "Action", "Reason", "Status"]);
+  }
+  
+  var today = getAccountToday();
+  changes.forEach(function(change) {
+    sheet.appendRow([today, change.campaignName, change.adGroupName, change.adId,
+                     change.action, change.reason, change.status]);
+  });
   
-  if (!directions.CPC) {
-    cpcScore = 1 - cpcScore;
+  Logger.log("Change log written to tab '" + config.changeLogSheetName + "'");
+}
+
+/**
+ * Appends one row per test pair to the history tab. A second run on the same
+ * day replaces that day's rows for the test, so the history keeps one row per
+ * pair per day. Then rebuilds the trends tab from the history.
+ */
+function writeTestHistory(results, config) {
+  var headers = ["Date", "Test Name", "Pair Key", "Campaign", "Ad Group", "Control Ad ID", "Test Ad ID", "Test Ad",
+                 "Control Impressions", "Control Clicks", "Control Conversions", "Control Cost",
+                 "Test Impressions", "Test Clicks", "Test Conversions", "Test Cost",
+                 "Primary Metric", "Control Value", "Test Value", "Lift %", "P-value", "Adjusted P-value",
+                 "Composite Score", "Significant?", "Overall"];
+  var spreadsheet = openResultsSpreadsheet(config);
+  var sheet = spreadsheet.getSheetByName(config.historySheetName);
+  if (!sheet) {
+    sheet = spreadsheet.insertSheet(config.historySheetName);
+    sheet.appendRow(headers);
+    sheet.getRange(1, 1, 1, headers.length).setFontWeight("bold");
   }
   
-  // 3. Conversion Rate (higher is better)
-  var controlConvRate = controlAd.convRate || 0;
-  var testConvRate = testAd.convRate || 0;
-  var maxConvRate = Math.max(controlConvRate, testConvRate);
-  var minConvRate = Math.min(controlConvRate, testConvRate);
-  var convScore = 0.5; // Default if both are equal
+  var today = getAccountToday();
+  var testName = config.testName || "";
   
-  if (maxConvRate !== minConvRate) {
-    var denominator = maxConvRate - minConvRate;
-    if (denominator === 0) {
-      denominator = 0.0001; // Avoid division by zero
-    }
-    convScore = (testConvRate - minConvRate) / denominator;
+  // Drop today's rows of this test from an earlier run
+  var values = sheet.getDataRange().getValues();
+  var timeZone = spreadsheet.getSpreadsheetTimeZone();
+  var kept = values.filter(function(row, index) {
+    return index === 0 || !(formatSheetDate(row[0], timeZone) === today && String(row[1]) === testName);
+  });
+  if (kept.length < values.length) {
+    sheet.clearContents();
+    sheet.getRange(1, 1, kept.length, headers.length).setValues(kept);
   }
   
-  if (!directions.Conversions) {
-    convScore = 1 - convScore;
+  var metric = config.primaryMetricForSignificance;
+  var rows = [];
+  results.forEach(function(adGroupData) {
+    adGroupData.testResults.forEach(function(result) {
+      var controlAd = result.controlAd;
+      var testAd = result.testAd;
+      rows.push([today, testName, adGroupData.id + ":" + controlAd.id + ":" + testAd.id,
+                 adGroupData.campaignName, adGroupData.name, controlAd.id, testAd.id, testAd.headline,
+                 controlAd.impressions, controlAd.clicks, controlAd.conversions || 0, controlAd.cost,
+                 testAd.impressions, testAd.clicks, testAd.conversions || 0, testAd.cost,
+                 metric, getMetricValue(controlAd, metric), getMetricValue(testAd, metric),
+                 result.relativeDifference, result.pValue, result.adjustedPValue,
+                 result.compositeScore, result.isSignificant ? "YES" : "NO",
+                 result.isBetterOverall ? "BETTER" : "WORSE"]);
+    });
+  });
+  if (rows.length > 0) {
+    // Dates are kept as text so Sheets doesn't turn them into dates in its own time zone
+    sheet.getRange(kept.length + 1, 1, rows.length, 1).setNumberFormat("@");
+    sheet.getRange(kept.length + 1, 1, rows.length, headers.length).setValues(rows);
   }
   
-  // Apply weights
-  score = (weights.CTR * ctrScore) + 
-          (weights.CPC * cpcScore) + 
-          (weights.Conversions * convScore);
+  Logger.log("Test history written to tab '" + config.historySheetName + "' (" + rows.length + " rows)");
   
-  return score;
+  if (config.trendsSheetName) {
+    writeTestTrends(sheet, rows, config);
+  }
 }
 
 /**
- * Implements Fisher's Exact Test for calculating p-values
- * a, b, c, d represent the 2x2 contingency table:
- * [ a  b ]
- * [ c  d ]
+ * Rebuilds the trends tab: for each pair in the latest run, a small table of
+ * its lift and adjusted p-value by date from the history, with a line chart
+ * next to it (lift on the left axis, p-value on the right)
  */
-function fisherExactTest(a, b, c, d) {
-  // Calculate Fisher's exact test p-value
-  // Note: This implementation works for moderately sized numbers but may have precision issues with very large numbers
+function writeTestTrends(historySheet, latestRows, config) {
+  var spreadsheet = openResultsSpreadsheet(config);
+  // Registered tests each get their own trends tab
+  var sheetName = config.trendsSheetName + (config.testName ? " - " + config.testName : "");
+  var sheet = spreadsheet.getSheetByName(sheetName);
+  if (sheet) {
+    sheet.getCharts().forEach(function(chart) {
+      sheet.removeChart(chart);
+    });
+    sheet.clear();
+  } else {
+    sheet = spreadsheet.insertSheet(sheetName);
+  }
   
-  function logFactorial(n) {
-    var result = 0;
-    for (var i = 1; i <= n; i++) {
-      result += Math.log(i);
+  // History rows of this test by pair key, in date order
+  var testName = config.testName || "";
+  var historyByPair = {};
+  var timeZone = spreadsheet.getSpreadsheetTimeZone();
+  historySheet.getDataRange().getValues().slice(1).forEach(function(row) {
+    if (String(row[1]) !== testName) {
+      return;
     }
-    return result;
-  }
+    var key = String(row[2]);
+    historyByPair[key] = historyByPair[key] || [];
+    // Untested pairs have no p-value; a blank cell leaves a gap in the chart
+    var pValue = parseFloat(row[21]);
+    historyByPair[key].push([formatSheetDate(row[0], timeZone), parseFloat(row[19]), isNaN(pValue) ? "" : pValue]);
+  });
   
-  // Calculate p-value using the hypergeometric probability
-  var n = a + b + c + d;
-  var logP = logFactorial(a + b) + logFactorial(c + d) + logFactorial(a + c) + logFactorial(b + d) - 
-             logFactorial(a) - logFactorial(b) - logFactorial(c) - logFactorial(d) - logFactorial(n);
+  sheet.getRange(1, 1).setValue("A/B Test Trends" + (config.testName ? " - " + config.testName : "") +
+                                " (" + config.primaryMetricForSignificance + ")").setFontWeight("bold").setFontSize(14);
   
-  var p = Math.exp(logP);
+  // Each pair gets a block tall enough for its chart
+  var blockHeight = 20;
+  var row = 3;
+  latestRows.forEach(function(latest) {
+    var history = (historyByPair[latest[2]] || []).sort(function(a, b) {
+      return a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0;
+    });
+    if (history.length === 0) {
+      return;
+    }
+    
+    var title = latest[4] + " - " + latest[7] + " (ID " + latest[6] + ") vs control " + latest[5];
+    sheet.getRange(row, 1).setValue(title).setFontWeight("bold");
+    sheet.getRange(row + 1, 1, 1, 3).setValues([["Date", "Lift %", "Adjusted P-value"]]).setFontWeight("bold");
+    sheet.getRange(row + 2, 1, history.length, 3).setValues(history);
+    
+    var chart = sheet.newChart()
+      .setChartType(Charts.ChartType.LINE)
+      .addRange(sheet.getRange(row + 1, 1, history.length + 1, 3))
+      .setPosition(row, 5, 0, 0)
+      .setOption("title", title)
+      .setOption("series", { 0: { targetAxisIndex: 0 }, 1: { targetAxisIndex: 1 } })
+      .setOption("vAxes", { 0: { title: "Lift %" }, 1: { title: "P-value", viewWindow: { min: 0, max: 1 } } })
+      .build();
+    sheet.insertChart(chart);
+    
+    row += Math.max(blockHeight, history.length + 4);
+  });
   
-  // For a two-tailed test, we need to sum the probabilities of all outcomes as or more extreme
-  // This is a simplified approach for Fisher's exact test
-  return {
-    pValue: p * 2 // Two-tailed test approximation
-  };
+  Logger.log("Test trends written to tab '" + sheetName + "'");
+}
+
+/**
+ * Returns a sheet date cell as "yyyy-MM-dd". Sheets turns date text into Date
+ * values at midnight in the spreadsheet's time zone, so they are formatted in
+ * that time zone.
+ */
+function formatSheetDate(value, timeZone) {
+  if (value instanceof Date) {
+    return Utilities.formatDate(value, timeZone, "yyyy-MM-dd");
+  }
+  return String(value);
 }
 
 /**
- * Gets a readable headline from an ad
+ * Gets a readable headline from an ad_group_ad report row
  */
-function getAdHeadline(ad) {
+function getAdHeadline(row) {
   try {
-    if (ad.getType() === "RESPONSIVE_SEARCH_AD") {
-      return ad.getHeadlines()[0].text;
+    if (row["ad_group_ad.ad.type"] === "RESPONSIVE_SEARCH_AD") {
+      return parseReportList(row["ad_group_ad.ad.responsive_search_ad.headlines"])[0].text;
     } else {
       // For expanded text ads
-      return ad.getHeadlinePart1();
+      return row["ad_group_ad.ad.expanded_text_ad.headline_part1"] || "Ad #" + row["ad_group_ad.ad.id"];
     }
   } catch (e) {
-    return "Ad #" + ad.getId();
+    return "Ad #" + row["ad_group_ad.ad.id"];
   }
 }
 
@@ -430,6 +3284,15 @@ function getMetricValue(ad, metric) {
       return ad.avgCpc;
     case "Conversions":
       return ad.convRate || 0;
+    case "CostPerConversion":
+    case "CPA":
+      return ad.costPerConversion || 0;
+    case "ROAS":
+      return ad.conversionCost > 0 ? (ad.conversionValue || 0) / ad.conversionCost : 0;
+    case "ConvValuePerClick":
+      return ad.conversionClicks > 0 ? (ad.conversionValue || 0) / ad.conversionClicks : 0;
+    case "AOV":
+      return ad.conversions > 0 ? (ad.conversionValue || 0) / ad.conversions : 0;
     default:
       return ad.ctr;
   }
@@ -444,75 +3307,338 @@ function formatMetricValue(value, metric) {
     case "Conversions":
       return (value * 100).toFixed(2) + "%";
     case "CPC":
+    case "CostPerConversion":
+    case "CPA":
+    case "ConvValuePerClick":
+    case "AOV":
       return value.toFixed(2);
+    case "ROAS":
+      return (value * 100).toFixed(0) + "%";
     default:
       return value.toFixed(2);
   }
 }
 
+/**
+ * Returns true if any compared ad has conversion value, so the value metrics
+ * are worth showing
+ */
+function hasConversionValue(results) {
+  return results.some(function(adGroupData) {
+    return adGroupData.ads.some(function(ad) {
+      return (ad.conversionValue || 0) > 0;
+    });
+  });
+}
+
+/**
+ * Labels of the conversion value metrics in the reports, keyed by metric
+ */
+function getValueMetricLabels() {
+  return {
+    ConvValuePerClick: "Value/Click",
+    ROAS: "ROAS",
+    AOV: "AOV"
+  };
+}
+
+/**
+ * Formats the metric weights with their direction, e.g. "CTR=40% (higher), CPC=30% (lower)"
+ */
+function formatMetricWeights(config) {
+  return Object.keys(config.metricWeights).map(function(metric) {
+    return metric + "=" + Math.round(config.metricWeights[metric] * 100) + "% (" +
+           (isHigherBetter(metric, config) ? "higher" : "lower") + " is better)";
+  }).join(", ");
+}
+
+/**
+ * Formats the significance flag and p-value of a single metric for display
+ */
+function formatMetricSignificance(metricResult) {
+  if (metricResult.pValue === null) {
+    return "N/A (" + metricResult.testMethod + ")";
+  }
+  return (metricResult.isSignificant ? "YES" : "NO") + " (p=" + formatPValue(metricResult.pValue) + ")";
+}
+
+/**
+ * Formats a p-value, or "N/A" when the metric wasn't tested
+ */
+function formatPValue(pValue) {
+  return pValue === null ? "N/A" : pValue.toFixed(4);
+}
+
+/**
+ * Formats a metric's relative difference with its confidence interval,
+ * e.g. "+12.00% [-3.00%, +28.00%]"
+ */
+function formatRelativeDiff(metricResult) {
+  var text = (metricResult.relativeDiff >= 0 ? "+" : "") + metricResult.relativeDiff.toFixed(2) + "%";
+  return text + " " + (metricResult.liftInterval ? formatLiftInterval(metricResult.liftInterval) : "[N/A]");
+}
+
+/**
+ * Formats one segment of a breakdown for the log
+ */
+function formatSegmentResult(segment, config) {
+  return segment.dimension + " " + segment.segment + ": " + config.primaryMetricForSignificance + " " +
+         (segment.relativeDifference >= 0 ? "+" : "") + segment.relativeDifference.toFixed(2) + "% " +
+         (segment.better ? "▲" : "▼") + " (p=" + formatPValue(segment.pValue) + "), composite " +
+         segment.compositeScore.toFixed(4) + " " + (segment.isBetterOverall ? "BETTER" : "WORSE") +
+         (segment.flips.length > 0 ? " - FLIPS vs pooled: " + segment.flips.join(", ") : "");
+}
+
+/**
+ * Formats a minimum detectable effect (relative to the control) for display
+ */
+function formatMinimumDetectableEffect(mde) {
+  return mde === null ? "N/A" : "±" + (mde * 100).toFixed(2) + "%";
+}
+
+/**
+ * Formats the power reached so far, or "N/A" when it isn't estimated
+ */
+function formatPower(power) {
+  return power === null ? "N/A" : (power * 100).toFixed(1) + "%";
+}
+
+/**
+ * Formats the estimated number of further days needed to reach significance
+ */
+function formatDaysToSignificance(days) {
+  if (days === null) {
+    return "N/A";
+  }
+  return days === 0 ? "Power target met" : days + " days";
+}
+
+/**
+ * Formats the dates a pair was compared on, e.g. "2025-03-01 to 2025-03-20 (20 days)"
+ */
+function formatComparisonWindow(window) {
+  if (!window) {
+    return "Full date range";
+  }
+  return window.start + " to " + window.end + " (" + window.days + " days" +
+         (window.burnInDays > 0 ? ", " + window.burnInDays + " burn-in days skipped" : "") + ")";
+}
+
+/**
+ * Whether any test ad of an ad group is compared with the control over a
+ * comparison window instead of the full date range
+ */
+function hasComparisonWindows(adGroupData) {
+  return adGroupData.testResults.some(function(result) {
+    return !!result.comparisonWindow;
+  });
+}
+
+/**
+ * Formats the control value of a metric in a pair's comparison window for an
+ * email cell, or nothing when the pair covers the full date range
+ */
+function formatWindowControl(result, metric) {
+  if (!result.comparisonWindow) {
+    return "";
+  }
+  return "<br>Control in window: " + formatMetricValue(result.metricResults[metric].control, metric);
+}
+
+/**
+ * Formats a sample ratio check, e.g. "control share 62.0% vs 50.0% expected (p=0.0000) MISMATCH"
+ */
+function formatSampleRatio(srm) {
+  if (!srm) {
+    return "N/A";
+  }
+  return "control share " + (srm.observedShare * 100).toFixed(1) + "% vs " + (srm.expectedShare * 100).toFixed(1) +
+         "% expected (p=" + srm.pValue.toFixed(4) + ")" + (srm.isMismatch ? " MISMATCH" : " OK");
+}
+
+/**
+ * Formats a relative lift interval, e.g. "[-3.00%, +28.00%]"
+ */
+function formatLiftInterval(interval) {
+  function formatLift(value) {
+    return (value >= 0 ? "+" : "") + (value * 100).toFixed(2) + "%";
+  }
+  return "[" + formatLift(interval[0]) + ", " + formatLift(interval[1]) + "]";
+}
+
+/**
+ * Formats an expected loss (in rate units) as percentage points
+ */
+function formatExpectedLoss(value) {
+  return (value * 100).toFixed(3) + " pts";
+}
+
+/**
+ * Formats the Bayesian comparison of a single metric for display
+ */
+function formatBayesianResult(bayesianMetric, config) {
+  return (bayesianMetric.probabilityToBeatControl * 100).toFixed(1) + "% chance to beat control, " +
+         "expected loss " + formatExpectedLoss(bayesianMetric.expectedLoss) + ", " +
+         (config.credibleIntervalLevel * 100) + "% credible lift " + formatLiftInterval(bayesianMetric.liftInterval);
+}
+
+/**
+ * Describes what counts as a called result in the summary sections
+ */
+function describeDecisionRule(config) {
+  if (config.mode === "sequential") {
+    return "a sequential boundary crossing at " + (config.significanceLevel * 100) + "% significance";
+  }
+  if (config.mode === "bayesian") {
+    return "a decision at " + (config.bayesianDecisionThreshold * 100) + "% probability to beat or lose to the control";
+  }
+  return "statistical significance at " + (config.significanceLevel * 100) + "% confidence level";
+}
+
 /**
  * Logs the test results to the console
  */
-function logResults(results, config) {
+function logResults(results, config, lagCurve) {
+  var showValueMetrics = hasConversionValue(results);
   Logger.log("=====================================================");
-  Logger.log("A/B TEST RESULTS - " + config.dateRange);
+  Logger.log("A/B TEST RESULTS - " + (config.testName ? config.testName + " - " : "") + config.dateRange);
   Logger.log("Control landing page: " + config.controlAdUrl);
   Logger.log("Primary metric for significance: " + config.primaryMetricForSignificance);
-  Logger.log("Metric weights: CTR=" + (config.metricWeights.CTR*100) + "%, CPC=" + 
-             (config.metricWeights.CPC*100) + "%, Conversions=" + (config.metricWeights.Conversions*100) + "%");
+  Logger.log("Metric weights: " + formatMetricWeights(config));
+  Logger.log("Mode: " + (config.mode || "frequentist"));
   Logger.log("Significance level: " + (config.significanceLevel * 100) + "%");
+  Logger.log("Multiple-comparison correction: " + describeCorrection(config));
+  Logger.log("Conversion lag adjustment: " + describeConversionLag(config, lagCurve));
   Logger.log("=====================================================");
   
   var significantCount = 0;
   var totalTests = 0;
   var betterOverallCount = 0;
+  var controlNotFoundCount = 0;
+  var srmMismatchCount = 0;
   
   results.forEach(function(adGroupData) {
     Logger.log("\nCampaign: " + adGroupData.campaignName);
     Logger.log("Ad Group: " + adGroupData.name);
+    if (adGroupData.controlNotFound) {
+      controlNotFoundCount++;
+      Logger.log("Control not found (" + adGroupData.controlRule + ") - not tested");
+      Logger.log("-----------------------------------------------------");
+      return;
+    }
     Logger.log("Control Ad: " + adGroupData.controlAd.displayId);
+    if (adGroupData.isAssetView) {
+      Logger.log("Note: " + describeAssetLimitation());
+    }
     
     // Log all metrics for control
     Logger.log("Control CTR: " + formatMetricValue(adGroupData.controlAd.ctr, "CTR"));
     Logger.log("Control CPC: " + formatMetricValue(adGroupData.controlAd.avgCpc, "CPC"));
     Logger.log("Control Conv. Rate: " + formatMetricValue(adGroupData.controlAd.convRate || 0, "Conversions"));
+    Logger.log("Control Cost/Conv: " + formatMetricValue(adGroupData.controlAd.costPerConversion || 0, "CostPerConversion"));
+    if (showValueMetrics) {
+      Object.keys(getValueMetricLabels()).forEach(function(metric) {
+        Logger.log("Control " + getValueMetricLabels()[metric] + ": " + formatMetricValue(getMetricValue(adGroupData.controlAd, metric), metric));
+      });
+    }
     
     adGroupData.testResults.forEach(function(result) {
-      totalTests++;
+      var countInSummary = !isExcludedFromSummary(result, config);
+      if (countInSummary) {
+        totalTests++;
+      }
+      if (result.srm && result.srm.isMismatch) {
+        srmMismatchCount++;
+      }
       
       Logger.log("\n  Test Ad: " + result.testAd.displayId);
+      if (result.comparisonWindow) {
+        Logger.log("  Comparison window: " + formatComparisonWindow(result.comparisonWindow) +
+                  ", control CTR in window: " + formatMetricValue(result.controlAd.ctr, "CTR"));
+      }
       
       // Log all metrics for test ad
       Logger.log("  Test CTR: " + formatMetricValue(result.testAd.ctr, "CTR") + 
-                " (" + (result.metricResults.CTR.relativeDiff >= 0 ? "+" : "") + 
-                result.metricResults.CTR.relativeDiff.toFixed(2) + "%) " + 
-                (result.metricResults.CTR.better ? "▲" : "▼"));
+                " (" + formatRelativeDiff(result.metricResults.CTR) + ") " + 
+                (result.metricResults.CTR.better ? "▲" : "▼") + 
+                " - Significant: " + formatMetricSignificance(result.metricResults.CTR) +
+                " [" + result.metricResults.CTR.testMethod + "]");
       
       Logger.log("  Test CPC: " + formatMetricValue(result.testAd.avgCpc, "CPC") + 
-                " (" + (result.metricResults.CPC.relativeDiff >= 0 ? "+" : "") + 
-                result.metricResults.CPC.relativeDiff.toFixed(2) + "%) " + 
-                (result.metricResults.CPC.better ? "▲" : "▼"));
+                " (" + formatRelativeDiff(result.metricResults.CPC) + ") " + 
+                (result.metricResults.CPC.better ? "▲" : "▼") + 
+                " - Significant: " + formatMetricSignificance(result.metricResults.CPC) +
+                " [" + result.metricResults.CPC.testMethod + "]");
       
       Logger.log("  Test Conv. Rate: " + formatMetricValue(result.testAd.convRate || 0, "Conversions") + 
-                " (" + (result.metricResults.Conversions.relativeDiff >= 0 ? "+" : "") + 
-                result.metricResults.Conversions.relativeDiff.toFixed(2) + "%) " + 
-                (result.metricResults.Conversions.better ? "▲" : "▼"));
+                " (" + formatRelativeDiff(result.metricResults.Conversions) + ") " + 
+                (result.metricResults.Conversions.better ? "▲" : "▼") + 
+                " - Significant: " + formatMetricSignificance(result.metricResults.Conversions) +
+                " [" + result.metricResults.Conversions.testMethod + "]");
+      
+      Logger.log("  Test Cost/Conv: " + formatMetricValue(result.testAd.costPerConversion || 0, "CostPerConversion") + 
+                " (" + formatRelativeDiff(result.metricResults.CostPerConversion) + ") " + 
+                (result.metricResults.CostPerConversion.better ? "▲" : "▼") + 
+                " - Significant: " + formatMetricSignificance(result.metricResults.CostPerConversion) +
+                " [" + result.metricResults.CostPerConversion.testMethod + "]");
+      
+      if (showValueMetrics) {
+        Object.keys(getValueMetricLabels()).forEach(function(metric) {
+          var metricResult = result.metricResults[metric];
+          Logger.log("  Test " + getValueMetricLabels()[metric] + ": " + formatMetricValue(metricResult.test, metric) + 
+                    " (" + formatRelativeDiff(metricResult) + ") " + (metricResult.better ? "▲" : "▼") + 
+                    " - Significant: " + formatMetricSignificance(metricResult) + " [" + metricResult.testMethod + "]");
+        });
+      }
       
       // Statistical significance of primary metric
-      var significanceSymbol = result.isSignificant ? "✓" : "✗";
+      var significanceSymbol = isBelowLevel(result.adjustedPValue, config) ? "✓" : "✗";
       Logger.log("  P-value for " + config.primaryMetricForSignificance + ": " + 
-                result.pValue.toFixed(4) + " - Significant: " + significanceSymbol);
+                formatPValue(result.pValue) + " (" + result.testMethod + "), adjusted: " + 
+                formatPValue(result.adjustedPValue) + " - Significant: " + significanceSymbol);
+      
+      // Sequential test state
+      if (result.sequential) {
+        Logger.log("  Sequential state: " + result.sequential.state.toUpperCase() + 
+                  " (always-valid p=" + result.sequential.alwaysValidPValue.toFixed(4) + 
+                  ", running " + result.sequential.daysRunning + " days)");
+      }
+      
+      // Power and time to significance
+      Logger.log("  Power: " + formatPower(result.power.power) + " - MDE: " + 
+                formatMinimumDetectableEffect(result.power.minimumDetectableEffect) + 
+                " - Est. days to significance: " + formatDaysToSignificance(result.power.daysToSignificance));
       
       // Composite score
       var compositeSymbol = result.isBetterOverall ? "BETTER" : "WORSE";
       Logger.log("  Composite Score: " + result.compositeScore.toFixed(4) + 
                 " - Overall: " + compositeSymbol);
       
-      if (result.isSignificant) {
+      // Bayesian comparison
+      if (result.bayesian) {
+        Logger.log("  Bayesian CTR: " + formatBayesianResult(result.bayesian.metricResults.CTR, config));
+        Logger.log("  Bayesian Conv. Rate: " + formatBayesianResult(result.bayesian.metricResults.Conversions, config));
+        Logger.log("  Bayesian decision on " + result.bayesian.decisionMetric + ": " + 
+                  (result.bayesian.isDecisive ? "✓" : "✗"));
+      }
+      
+      // Segment breakdown
+      if (result.segments && result.segments.length > 0) {
+        Logger.log("  Segments:");
+        result.segments.forEach(function(segment) {
+          Logger.log("    " + formatSegmentResult(segment, config));
+        });
+      }
+      
+      if (result.srm) {
+        Logger.log("  Sample ratio: " + formatSampleRatio(result.srm));
+      }
+      
+      if (countInSummary && result.isSignificant) {
         significantCount++;
       }
       
-      if (result.isBetterOverall) {
+      if (countInSummary && result.isBetterOverall) {
         betterOverallCount++;
       }
     });
@@ -522,41 +3648,64 @@ function logResults(results, config) {
   
   Logger.log("\nSummary: ");
   Logger.log("- " + significantCount + " out of " + totalTests + 
-            " tests showed statistical significance at " + (config.significanceLevel * 100) + "% confidence level.");
+            " tests showed " + describeDecisionRule(config) + ".");
   Logger.log("- " + betterOverallCount + " out of " + totalTests + 
             " test ads performed better overall based on the weighted metrics.");
+  if (controlNotFoundCount > 0) {
+    Logger.log("- " + controlNotFoundCount + " ad groups were not tested because no control ad was found.");
+  }
+  if (srmMismatchCount > 0) {
+    Logger.log("- " + srmMismatchCount + " test ads have a sample ratio mismatch" +
+              (config.excludeSrmFromSummary ? " and are left out of the counts above." : " - treat their results with caution."));
+  }
 }
 
 /**
  * Emails the test results
  */
-function emailResults(results, config) {
-  var subject = "Google Ads A/B Test Results - " + Utilities.formatDate(new Date(), "GMT", "yyyy-MM-dd");
+function emailResults(results, config, lagCurve) {
+  var showValueMetrics = hasConversionValue(results);
+  var subject = "Google Ads A/B Test Results - " + (config.testName ? config.testName + " - " : "") +
+                getAccountToday();
   
   var body = "<html><body>";
-  body += "<h2>A/B Test Results - " + config.dateRange + "</h2>";
+  body += "<h2>A/B Test Results - " + (config.testName ? config.testName + " - " : "") + config.dateRange + "</h2>";
   body += "<p><strong>Control landing page:</strong> " + config.controlAdUrl + "</p>";
   body += "<p><strong>Primary metric for significance:</strong> " + config.primaryMetricForSignificance + "</p>";
-  body += "<p><strong>Metric weights:</strong> CTR=" + (config.metricWeights.CTR*100) + "%, " +
-          "CPC=" + (config.metricWeights.CPC*100) + "%, " +
-          "Conversions=" + (config.metricWeights.Conversions*100) + "%</p>";
+  body += "<p><strong>Metric weights:</strong> " + formatMetricWeights(config) + "</p>";
+  body += "<p><strong>Mode:</strong> " + (config.mode || "frequentist") + "</p>";
   body += "<p><strong>Significance level:</strong> " + (config.significanceLevel * 100) + "%</p>";
+  body += "<p><strong>Multiple-comparison correction:</strong> " + describeCorrection(config) + "</p>";
+  body += "<p><strong>Conversion lag adjustment:</strong> " + describeConversionLag(config, lagCurve) + "</p>";
   
   var significantCount = 0;
   var totalTests = 0;
   var betterOverallCount = 0;
+  var controlNotFoundCount = 0;
+  var srmMismatchCount = 0;
   
   results.forEach(function(adGroupData) {
     body += "<hr>";
     body += "<h3>Campaign: " + adGroupData.campaignName + "</h3>";
     body += "<h4>Ad Group: " + adGroupData.name + "</h4>";
     
+    if (adGroupData.controlNotFound) {
+      controlNotFoundCount++;
+      body += "<p><strong>Control not found</strong> (" + adGroupData.controlRule + ") - not tested</p>";
+      return;
+    }
+    
+    if (adGroupData.isAssetView) {
+      body += "<p><em>" + describeAssetLimitation() + "</em></p>";
+    }
+    
     // Control ad information
     body += "<div style='margin-bottom: 20px;'>";
     body += "<h4>Control Ad: " + adGroupData.controlAd.displayId + "</h4>";
     body += "<p><strong>Final URL:</strong> " + (adGroupData.controlAd.finalUrl || "N/A") + "</p>";
     body += "<table border='1' cellpadding='5' cellspacing='0' style='border-collapse: collapse;'>";
-    body += "<tr style='background-color:#f2f2f2;'><th>Ad ID</th><th>CTR</th><th>CPC</th><th>Conv. Rate</th><th>Conversions</th><th>Cost/Conv</th></tr>";
+    body += "<tr style='background-color:#f2f2f2;'><th>Ad ID</th><th>CTR</th><th>CPC</th><th>Conv. Rate</th><th>Conversions</th><th>Cost/Conv</th>" +
+            (showValueMetrics ? "<th>Value/Click</th><th>ROAS</th><th>AOV</th>" : "") + "</tr>";
     
     body += "<tr>";
     body += "<td>" + adGroupData.controlAd.id + "</td>";
@@ -565,8 +3714,17 @@ function emailResults(results, config) {
     body += "<td>" + formatMetricValue(adGroupData.controlAd.convRate || 0, "Conversions") + "</td>";
     body += "<td>" + (adGroupData.controlAd.conversions || 0) + "</td>";
     body += "<td>" + formatMetricValue(adGroupData.controlAd.costPerConversion || 0, "CPC") + "</td>";
+    if (showValueMetrics) {
+      Object.keys(getValueMetricLabels()).forEach(function(metric) {
+        body += "<td>" + formatMetricValue(getMetricValue(adGroupData.controlAd, metric), metric) + "</td>";
+      });
+    }
     body += "</tr>";
     body += "</table>";
+    if (hasComparisonWindows(adGroupData)) {
+      body += "<p><em>Control metrics above cover the full date range. Test ads with a comparison window are " +
+              "compared with the control over that window; the control value in the window is shown under each metric.</em></p>";
+    }
     body += "</div>";
     
     // Test ads table
@@ -574,10 +3732,21 @@ function emailResults(results, config) {
     body += "<table border='1' cellpadding='5' cellspacing='0' style='border-collapse: collapse;'>";
     body += "<tr style='background-color:#f2f2f2;'><th>Test Ad</th><th>Ad ID</th>" +
             "<th>CTR (Diff)</th><th>CPC (Diff)</th><th>Conv. Rate (Diff)</th>" +
-            "<th>Conversions</th><th>Cost/Conv</th><th>P-value</th><th>Significance</th><th>Composite Score</th><th>Overall</th></tr>";
+            "<th>Conversions</th><th>Cost/Conv (Diff)</th>" +
+            (showValueMetrics ? "<th>Value/Click (Diff)</th><th>ROAS (Diff)</th><th>AOV (Diff)</th>" : "") +
+            "<th>P-value (" + config.primaryMetricForSignificance + ")</th><th>Adjusted P-value</th><th>Test Method</th><th>Significance</th>" +
+            "<th>Power</th><th>MDE</th><th>Est. Days to Significance</th><th>Composite Score</th><th>Overall</th><th>Comparison Window</th><th>Sample Ratio</th>" +
+            (config.mode === "bayesian" ? "<th>Bayesian CTR</th><th>Bayesian Conv. Rate</th>" : "") +
+            (config.mode === "sequential" ? "<th>Always-valid P-value</th><th>Test State</th>" : "") + "</tr>";
     
     adGroupData.testResults.forEach(function(result) {
-      totalTests++;
+      var countInSummary = !isExcludedFromSummary(result, config);
+      if (countInSummary) {
+        totalTests++;
+      }
+      if (result.srm && result.srm.isMismatch) {
+        srmMismatchCount++;
+      }
       
       var significanceText = result.isSignificant ? "YES" : "NO";
       var overallText = result.isBetterOverall ? "BETTER" : "WORSE";
@@ -589,54 +3758,130 @@ function emailResults(results, config) {
       
       // CTR column
       body += "<td>" + formatMetricValue(result.testAd.ctr, "CTR") + 
-              " (" + (result.metricResults.CTR.relativeDiff >= 0 ? "+" : "") + 
-              result.metricResults.CTR.relativeDiff.toFixed(2) + "% " + 
-              (result.metricResults.CTR.better ? "▲" : "▼") + ")</td>";
+              " (" + formatRelativeDiff(result.metricResults.CTR) + " " + 
+              (result.metricResults.CTR.better ? "▲" : "▼") + ")" + 
+              "<br>Sig: " + formatMetricSignificance(result.metricResults.CTR) +
+              "<br>" + result.metricResults.CTR.testMethod +
+              formatWindowControl(result, "CTR") + "</td>";
       
       // CPC column
       body += "<td>" + formatMetricValue(result.testAd.avgCpc, "CPC") + 
-              " (" + (result.metricResults.CPC.relativeDiff >= 0 ? "+" : "") + 
-              result.metricResults.CPC.relativeDiff.toFixed(2) + "% " + 
-              (result.metricResults.CPC.better ? "▲" : "▼") + ")</td>";
+              " (" + formatRelativeDiff(result.metricResults.CPC) + " " + 
+              (result.metricResults.CPC.better ? "▲" : "▼") + ")" + 
+              "<br>Sig: " + formatMetricSignificance(result.metricResults.CPC) +
+              "<br>" + result.metricResults.CPC.testMethod +
+              formatWindowControl(result, "CPC") + "</td>";
       
       // Conv Rate column
       body += "<td>" + formatMetricValue(result.testAd.convRate || 0, "Conversions") + 
-              " (" + (result.metricResults.Conversions.relativeDiff >= 0 ? "+" : "") + 
-              result.metricResults.Conversions.relativeDiff.toFixed(2) + "% " + 
-              (result.metricResults.Conversions.better ? "▲" : "▼") + ")</td>";
+              " (" + formatRelativeDiff(result.metricResults.Conversions) + " " + 
+              (result.metricResults.Conversions.better ? "▲" : "▼") + ")" + 
+              "<br>Sig: " + formatMetricSignificance(result.metricResults.Conversions) +
+              "<br>" + result.metricResults.Conversions.testMethod +
+              formatWindowControl(result, "Conversions") + "</td>";
       
       // Conversions and Cost/Conv
       body += "<td>" + (result.testAd.conversions || 0) + "</td>";
-      body += "<td>" + formatMetricValue(result.testAd.costPerConversion || 0, "CPC") + "</td>";
+      body += "<td>" + formatMetricValue(result.testAd.costPerConversion || 0, "CostPerConversion") + 
+              " (" + formatRelativeDiff(result.metricResults.CostPerConversion) + " " + 
+              (result.metricResults.CostPerConversion.better ? "▲" : "▼") + ")" + 
+              "<br>Sig: " + formatMetricSignificance(result.metricResults.CostPerConversion) +
+              "<br>" + result.metricResults.CostPerConversion.testMethod +
+              formatWindowControl(result, "CostPerConversion") + "</td>";
+      
+      // Conversion value columns
+      if (showValueMetrics) {
+        Object.keys(getValueMetricLabels()).forEach(function(metric) {
+          var metricResult = result.metricResults[metric];
+          body += "<td>" + formatMetricValue(metricResult.test, metric) + 
+                  " (" + formatRelativeDiff(metricResult) + " " + (metricResult.better ? "▲" : "▼") + ")" + 
+                  "<br>Sig: " + formatMetricSignificance(metricResult) + "<br>" + metricResult.testMethod +
+                  formatWindowControl(result, metric) + "</td>";
+        });
+      }
       
       // P-value and significance
-      body += "<td>" + result.pValue.toFixed(4) + "</td>";
+      body += "<td>" + formatPValue(result.pValue) + "</td>";
+      body += "<td>" + formatPValue(result.adjustedPValue) + "</td>";
+      body += "<td>" + result.testMethod + "</td>";
       body += "<td>" + significanceText + "</td>";
       
+      // Power and time to significance
+      body += "<td>" + formatPower(result.power.power) + "</td>";
+      body += "<td>" + formatMinimumDetectableEffect(result.power.minimumDetectableEffect) + "</td>";
+      body += "<td>" + formatDaysToSignificance(result.power.daysToSignificance) + "</td>";
+      
       // Composite score and overall assessment
       body += "<td>" + result.compositeScore.toFixed(4) + "</td>";
       body += "<td><strong>" + overallText + "</strong></td>";
+      body += "<td>" + formatComparisonWindow(result.comparisonWindow) + "</td>";
+      body += "<td>" + (result.srm && result.srm.isMismatch ? "<strong>" + formatSampleRatio(result.srm) + "</strong>" : formatSampleRatio(result.srm)) + "</td>";
+      
+      // Bayesian comparison
+      if (result.bayesian) {
+        body += "<td>" + formatBayesianResult(result.bayesian.metricResults.CTR, config) + "</td>";
+        body += "<td>" + formatBayesianResult(result.bayesian.metricResults.Conversions, config) + "</td>";
+      }
+      
+      // Sequential test state
+      if (result.sequential) {
+        body += "<td>" + result.sequential.alwaysValidPValue.toFixed(4) + "</td>";
+        body += "<td><strong>" + result.sequential.state.toUpperCase() + "</strong></td>";
+      }
       
       body += "</tr>";
       
-      if (result.isSignificant) {
+      if (countInSummary && result.isSignificant) {
         significantCount++;
       }
       
-      if (result.isBetterOverall) {
+      if (countInSummary && result.isBetterOverall) {
         betterOverallCount++;
       }
     });
     
     body += "</table>";
+    
+    // Segment breakdown table
+    var segmentRows = "";
+    adGroupData.testResults.forEach(function(result) {
+      (result.segments || []).forEach(function(segment) {
+        segmentRows += "<tr" + (segment.flips.length > 0 ? " style='background-color:#fce5cd;'" : "") + ">";
+        segmentRows += "<td>" + result.testAd.headline + "</td>";
+        segmentRows += "<td>" + segment.dimension + "</td>";
+        segmentRows += "<td>" + segment.segment + "</td>";
+        segmentRows += "<td>" + segment.impressions + "</td>";
+        segmentRows += "<td>" + (segment.relativeDifference >= 0 ? "+" : "") + segment.relativeDifference.toFixed(2) + "% " + 
+                       (segment.better ? "▲" : "▼") + "</td>";
+        segmentRows += "<td>" + formatPValue(segment.pValue) + (segment.isSignificant ? " (YES)" : " (NO)") + "</td>";
+        segmentRows += "<td>" + segment.compositeScore.toFixed(4) + " " + (segment.isBetterOverall ? "BETTER" : "WORSE") + "</td>";
+        segmentRows += "<td>" + (segment.flips.length > 0 ? "<strong>FLIPS: " + segment.flips.join(", ") + "</strong>" : "") + "</td>";
+        segmentRows += "</tr>";
+      });
+    });
+    if (segmentRows) {
+      body += "<h4>Segment Breakdown</h4>";
+      body += "<table border='1' cellpadding='5' cellspacing='0' style='border-collapse: collapse;'>";
+      body += "<tr style='background-color:#f2f2f2;'><th>Test Ad</th><th>Breakdown</th><th>Segment</th><th>Test Impressions</th>" +
+              "<th>" + config.primaryMetricForSignificance + " Diff</th><th>P-value</th><th>Composite Score</th><th>Direction vs Pooled</th></tr>";
+      body += segmentRows;
+      body += "</table>";
+    }
   });
   
   body += "<hr>";
   body += "<h3>Summary:</h3>";
   body += "<ul>";
-  body += "<li><strong>" + significantCount + " out of " + totalTests + "</strong> tests showed statistical significance at " + 
-          (config.significanceLevel * 100) + "% confidence level.</li>";
+  body += "<li><strong>" + significantCount + " out of " + totalTests + "</strong> tests showed " + 
+          describeDecisionRule(config) + ".</li>";
   body += "<li><strong>" + betterOverallCount + " out of " + totalTests + "</strong> test ads performed better overall based on the weighted metrics.</li>";
+  if (controlNotFoundCount > 0) {
+    body += "<li><strong>" + controlNotFoundCount + "</strong> ad groups were not tested because no control ad was found.</li>";
+  }
+  if (srmMismatchCount > 0) {
+    body += "<li><strong>" + srmMismatchCount + "</strong> test ads have a sample ratio mismatch" +
+            (config.excludeSrmFromSummary ? " and are left out of the counts above.</li>" : " - treat their results with caution.</li>");
+  }
   body += "</ul>";
   
   // If we're also outputting to Google Sheets, include the link
@@ -658,23 +3903,33 @@ function emailResults(results, config) {
 /**
  * Outputs the test results to a Google Sheet
  */
-function outputToGoogleSheet(results, config) {
+function outputToGoogleSheet(results, config, lagCurve) {
+  var showValueMetrics = hasConversionValue(results);
   var spreadsheet;
   var sheet;
   
-  // Either use an existing spreadsheet or create a new one
-  if (config.spreadsheetUrl && config.spreadsheetUrl !== "") {
+  // Registered tests each have their own tab, rewritten on every run
+  if (config.testName) {
+    spreadsheet = openResultsSpreadsheet(config);
+    sheet = spreadsheet.getSheetByName(config.testName);
+    if (sheet) {
+      sheet.clear();
+    } else {
+      sheet = spreadsheet.insertSheet(config.testName);
+    }
+  } else if (config.spreadsheetUrl && config.spreadsheetUrl !== "") {
+    // Either use an existing spreadsheet or create a new one
     try {
       spreadsheet = SpreadsheetApp.openByUrl(config.spreadsheetUrl);
       // Create a new sheet with today's date
-      var sheetName = "A/B Test " + Utilities.formatDate(new Date(), "GMT", "yyyy-MM-dd");
+      var sheetName = "A/B Test " + getAccountToday();
       sheet = spreadsheet.getSheetByName(sheetName);
       
       // If a sheet with this name already exists, append a number to make it unique
       if (sheet) {
         var counter = 1;
         while (sheet) {
-          sheetName = "A/B Test " + Utilities.formatDate(new Date(), "GMT", "yyyy-MM-dd") + " (" + counter + ")";
+          sheetName = "A/B Test " + getAccountToday() + " (" + counter + ")";
           sheet = spreadsheet.getSheetByName(sheetName);
           counter++;
         }
@@ -687,20 +3942,20 @@ function outputToGoogleSheet(results, config) {
       // Create a new spreadsheet if there was an error opening the existing one
       spreadsheet = SpreadsheetApp.create("Google Ads A/B Test Results");
       sheet = spreadsheet.getActiveSheet();
-      sheet.setName("A/B Test " + Utilities.formatDate(new Date(), "GMT", "yyyy-MM-dd"));
+      sheet.setName("A/B Test " + getAccountToday());
       config.spreadsheetUrl = spreadsheet.getUrl();
     }
   } else {
     // Create a new spreadsheet
     spreadsheet = SpreadsheetApp.create("Google Ads A/B Test Results");
     sheet = spreadsheet.getActiveSheet();
-    sheet.setName("A/B Test " + Utilities.formatDate(new Date(), "GMT", "yyyy-MM-dd"));
+    sheet.setName("A/B Test " + getAccountToday());
     config.spreadsheetUrl = spreadsheet.getUrl();
   }
   
   // Add title and config info
   var row = 1;
-  sheet.getRange(row, 1).setValue("Google Ads A/B Test Results");
+  sheet.getRange(row, 1).setValue("Google Ads A/B Test Results" + (config.testName ? " - " + config.testName : ""));
   sheet.getRange(row, 1).setFontWeight("bold").setFontSize(14);
   row++;
   
@@ -717,15 +3972,29 @@ function outputToGoogleSheet(results, config) {
   row++;
   
   sheet.getRange(row, 1).setValue("Metric Weights:");
-  sheet.getRange(row, 2).setValue("CTR=" + (config.metricWeights.CTR*100) + "%, CPC=" + 
-                                 (config.metricWeights.CPC*100) + "%, Conv=" + 
-                                 (config.metricWeights.Conversions*100) + "%");
+  sheet.getRange(row, 2).setValue(formatMetricWeights(config));
+  row++;
+  
+  sheet.getRange(row, 1).setValue("Mode:");
+  sheet.getRange(row, 2).setValue(config.mode || "frequentist");
   row++;
   
   sheet.getRange(row, 1).setValue("Significance Level:");
   sheet.getRange(row, 2).setValue((config.significanceLevel * 100) + "%");
   row++;
   
+  sheet.getRange(row, 1).setValue("Multiple-Comparison Correction:");
+  sheet.getRange(row, 2).setValue(describeCorrection(config));
+  row++;
+  
+  sheet.getRange(row, 1).setValue("Conversion Lag Adjustment:");
+  sheet.getRange(row, 2).setValue(describeConversionLag(config, lagCurve));
+  row++;
+  
+  sheet.getRange(row, 1).setValue("Target Power:");
+  sheet.getRange(row, 2).setValue((config.targetPower * 100) + "%");
+  row++;
+  
   sheet.getRange(row, 1).setValue("Minimum Impressions:");
   sheet.getRange(row, 2).setValue(config.minImpressions);
   row++;
@@ -736,6 +4005,8 @@ function outputToGoogleSheet(results, config) {
   var totalTests = 0;
   var significantTests = 0;
   var betterOverallTests = 0;
+  var controlNotFoundCount = 0;
+  var srmMismatchCount = 0;
   
   // For each ad group, create a section
   results.forEach(function(adGroupData) {
@@ -748,6 +4019,21 @@ function outputToGoogleSheet(results, config) {
     sheet.getRange(row, 2).setValue(adGroupData.name);
     row++;
     
+    if (adGroupData.controlNotFound) {
+      controlNotFoundCount++;
+      sheet.getRange(row, 1).setValue("Control not found:");
+      sheet.getRange(row, 2).setValue(adGroupData.controlRule + " - not tested");
+      sheet.getRange(row, 2).setBackground("#fce5cd"); // Light orange
+      row += 2; // Empty row between ad groups
+      return;
+    }
+    
+    if (adGroupData.isAssetView) {
+      sheet.getRange(row, 1).setValue("Note:");
+      sheet.getRange(row, 2).setValue(describeAssetLimitation());
+      row++;
+    }
+    
     // Control ad information
     sheet.getRange(row, 1).setValue("Control Ad:");
     sheet.getRange(row, 2).setValue(adGroupData.controlAd.headline);
@@ -761,7 +4047,8 @@ function outputToGoogleSheet(results, config) {
     sheet.getRange(row, 2).setValue(adGroupData.controlAd.finalUrl || "N/A");
     row++;
     
-    // Control ad metrics
+    // Control ad metrics over the full date range; the values each test ad is compared
+    // with are in the window columns of the test ad table
     sheet.getRange(row, 1).setValue("Control CTR:");
     sheet.getRange(row, 2).setValue((adGroupData.controlAd.ctr * 100).toFixed(2) + "%");
     row++;
@@ -794,10 +4081,36 @@ function outputToGoogleSheet(results, config) {
     sheet.getRange(row, 2).setValue(adGroupData.controlAd.cost.toFixed(2));
     row++;
     
+    if (showValueMetrics) {
+      Object.keys(getValueMetricLabels()).forEach(function(metric) {
+        sheet.getRange(row, 1).setValue("Control " + getValueMetricLabels()[metric] + ":");
+        sheet.getRange(row, 2).setValue(formatMetricValue(getMetricValue(adGroupData.controlAd, metric), metric));
+        row++;
+      });
+    }
+    
     // Table header for test ads
-    var headers = ["Test Ad", "Ad ID", "CTR", "CTR Diff", "CPC", "CPC Diff", "Conv. Rate", "Conv. Rate Diff", 
-                  "Conversions", "Cost/Conv", "Clicks", "Impressions", "Cost", "P-value", "Significant?", 
-                  "Composite Score", "Overall"];
+    var headers = ["Test Ad", "Ad ID", "CTR", "CTR Diff", "CTR Significant?", "CTR Test Method",
+                  "CPC", "CPC Diff", "CPC Significant?", "CPC Test Method",
+                  "Conv. Rate", "Conv. Rate Diff", "Conv. Rate Significant?", "Conv. Rate Test Method", "Conversions",
+                  "Cost/Conv", "Cost/Conv Diff", "Cost/Conv Significant?", "Cost/Conv Test Method", "Clicks", "Impressions", "Cost", 
+                  "P-value (" + config.primaryMetricForSignificance + ")", "Adjusted P-value", "Test Method", "Significant?", 
+                  "Power", "MDE", "Est. Days to Significance", "Composite Score", "Overall", "Comparison Window",
+                  "Control CTR (Window)", "Control CPC (Window)", "Control Conv. Rate (Window)", "Control Cost/Conv (Window)",
+                  "Sample Ratio Mismatch?"];
+    if (showValueMetrics) {
+      Object.keys(getValueMetricLabels()).forEach(function(metric) {
+        var label = getValueMetricLabels()[metric];
+        headers = headers.concat([label, label + " Diff", label + " Significant?", label + " Test Method"]);
+      });
+    }
+    if (config.mode === "bayesian") {
+      headers = headers.concat(["CTR P(Beat Control)", "CTR Expected Loss", "CTR Lift Credible Interval",
+                                "Conv. Rate P(Beat Control)", "Conv. Rate Expected Loss", "Conv. Rate Lift Credible Interval"]);
+    }
+    if (config.mode === "sequential") {
+      headers = headers.concat(["Always-valid P-value", "Test State", "Days Running"]);
+    }
     for (var i = 0; i < headers.length; i++) {
       sheet.getRange(row, i + 1).setValue(headers[i]).setFontWeight("bold");
     }
@@ -805,81 +4118,185 @@ function outputToGoogleSheet(results, config) {
     
     // Add test ad data
     adGroupData.testResults.forEach(function(result) {
-      totalTests++;
+      var countInSummary = !isExcludedFromSummary(result, config);
+      if (countInSummary) {
+        totalTests++;
+      }
+      if (result.srm && result.srm.isMismatch) {
+        srmMismatchCount++;
+      }
       
       var testAd = result.testAd;
       var significanceText = result.isSignificant ? "YES" : "NO";
       var overallText = result.isBetterOverall ? "BETTER" : "WORSE";
       
       // If significant, count it
-      if (result.isSignificant) {
+      if (countInSummary && result.isSignificant) {
         significantTests++;
       }
       
       // If better overall, count it
-      if (result.isBetterOverall) {
+      if (countInSummary && result.isBetterOverall) {
         betterOverallTests++;
       }
       
       // Format the CTR difference value
-      var ctrDiffFormatted = (result.metricResults.CTR.relativeDiff >= 0 ? "+" : "") + 
-                             result.metricResults.CTR.relativeDiff.toFixed(2) + "% " +
+      var ctrDiffFormatted = formatRelativeDiff(result.metricResults.CTR) + " " +
                              (result.metricResults.CTR.better ? "▲" : "▼");
       
       // Format the CPC difference value
-      var cpcDiffFormatted = (result.metricResults.CPC.relativeDiff >= 0 ? "+" : "") + 
-                             result.metricResults.CPC.relativeDiff.toFixed(2) + "% " +
+      var cpcDiffFormatted = formatRelativeDiff(result.metricResults.CPC) + " " +
                              (result.metricResults.CPC.better ? "▲" : "▼");
       
       // Format the Conv Rate difference value
-      var convDiffFormatted = (result.metricResults.Conversions.relativeDiff >= 0 ? "+" : "") + 
-                             result.metricResults.Conversions.relativeDiff.toFixed(2) + "% " +
+      var convDiffFormatted = formatRelativeDiff(result.metricResults.Conversions) + " " +
                              (result.metricResults.Conversions.better ? "▲" : "▼");
       
+      // Format the Cost/Conv difference value
+      var costPerConvDiffFormatted = formatRelativeDiff(result.metricResults.CostPerConversion) + " " +
+                             (result.metricResults.CostPerConversion.better ? "▲" : "▼");
+      
       var rowData = [
         testAd.headline,
         testAd.id,
         (testAd.ctr * 100).toFixed(2) + "%",
         ctrDiffFormatted,
+        formatMetricSignificance(result.metricResults.CTR),
+        result.metricResults.CTR.testMethod,
         testAd.avgCpc.toFixed(2),
         cpcDiffFormatted,
+        formatMetricSignificance(result.metricResults.CPC),
+        result.metricResults.CPC.testMethod,
         ((testAd.convRate || 0) * 100).toFixed(2) + "%",
         convDiffFormatted,
+        formatMetricSignificance(result.metricResults.Conversions),
+        result.metricResults.Conversions.testMethod,
         testAd.conversions || 0,
         (testAd.costPerConversion || 0).toFixed(2),
+        costPerConvDiffFormatted,
+        formatMetricSignificance(result.metricResults.CostPerConversion),
+        result.metricResults.CostPerConversion.testMethod,
         testAd.clicks,
         testAd.impressions,
         testAd.cost.toFixed(2),
-        result.pValue.toFixed(4),
+        formatPValue(result.pValue),
+        formatPValue(result.adjustedPValue),
+        result.testMethod,
         significanceText,
+        formatPower(result.power.power),
+        formatMinimumDetectableEffect(result.power.minimumDetectableEffect),
+        formatDaysToSignificance(result.power.daysToSignificance),
         result.compositeScore.toFixed(4),
-        overallText
+        overallText,
+        formatComparisonWindow(result.comparisonWindow),
+        formatMetricValue(result.metricResults.CTR.control, "CTR"),
+        formatMetricValue(result.metricResults.CPC.control, "CPC"),
+        formatMetricValue(result.metricResults.Conversions.control, "Conversions"),
+        formatMetricValue(result.metricResults.CostPerConversion.control, "CostPerConversion"),
+        result.srm ? (result.srm.isMismatch ? "YES" : "NO") + " - " + formatSampleRatio(result.srm) : "N/A"
       ];
       
+      if (showValueMetrics) {
+        Object.keys(getValueMetricLabels()).forEach(function(metric) {
+          var metricResult = result.metricResults[metric];
+          rowData = rowData.concat([
+            formatMetricValue(metricResult.test, metric),
+            formatRelativeDiff(metricResult) + " " + (metricResult.better ? "▲" : "▼"),
+            formatMetricSignificance(metricResult),
+            metricResult.testMethod
+          ]);
+        });
+      }
+      
+      if (result.bayesian) {
+        var bayesianCtr = result.bayesian.metricResults.CTR;
+        var bayesianConv = result.bayesian.metricResults.Conversions;
+        rowData = rowData.concat([
+          (bayesianCtr.probabilityToBeatControl * 100).toFixed(1) + "%",
+          formatExpectedLoss(bayesianCtr.expectedLoss),
+          formatLiftInterval(bayesianCtr.liftInterval),
+          (bayesianConv.probabilityToBeatControl * 100).toFixed(1) + "%",
+          formatExpectedLoss(bayesianConv.expectedLoss),
+          formatLiftInterval(bayesianConv.liftInterval)
+        ]);
+      }
+      
+      if (result.sequential) {
+        rowData = rowData.concat([
+          result.sequential.alwaysValidPValue.toFixed(4),
+          result.sequential.state.toUpperCase(),
+          result.sequential.daysRunning
+        ]);
+      }
+      
       for (var i = 0; i < rowData.length; i++) {
         var cell = sheet.getRange(row, i + 1);
         cell.setValue(rowData[i]);
         
-        // Color coding for significance
-        if (i === 14) { // Significant column
-          if (result.isSignificant) {
+        // Color coding for significance (overall and per metric)
+        if (headers[i].indexOf("Significant?") !== -1) {
+          if (String(rowData[i]).indexOf("YES") === 0) {
             cell.setBackground("#d9ead3"); // Light green
           }
         }
         
         // Color coding for better/worse
-        if (i === 16) { // Overall column
+        if (headers[i] === "Overall") {
           if (rowData[i] === "BETTER") {
             cell.setBackground("#d9ead3"); // Light green for better
           } else {
             cell.setBackground("#f4cccc"); // Light red for worse
           }
         }
+
+        // Flag untrustworthy traffic splits
+        if (headers[i] === "Sample Ratio Mismatch?" && String(rowData[i]).indexOf("YES") === 0) {
+          cell.setBackground("#f4cccc"); // Light red
+        }
       }
-      
+
       row++;
     });
     
+    // Segment breakdown rows
+    var segmentHeaderWritten = false;
+    adGroupData.testResults.forEach(function(result) {
+      (result.segments || []).forEach(function(segment) {
+        if (!segmentHeaderWritten) {
+          var segmentHeaders = ["Segment Breakdown", "Test Ad ID", "Breakdown", "Segment", "Test Impressions",
+                                config.primaryMetricForSignificance + " Diff", "P-value", "Significant?",
+                                "Composite Score", "Overall", "Direction vs Pooled"];
+          for (var i = 0; i < segmentHeaders.length; i++) {
+            sheet.getRange(row, i + 1).setValue(segmentHeaders[i]).setFontWeight("bold");
+          }
+          row++;
+          segmentHeaderWritten = true;
+        }
+        
+        var segmentRow = [
+          result.testAd.headline,
+          result.testAd.id,
+          segment.dimension,
+          segment.segment,
+          segment.impressions,
+          (segment.relativeDifference >= 0 ? "+" : "") + segment.relativeDifference.toFixed(2) + "% " + (segment.better ? "▲" : "▼"),
+          formatPValue(segment.pValue),
+          segment.isSignificant ? "YES" : "NO",
+          segment.compositeScore.toFixed(4),
+          segment.isBetterOverall ? "BETTER" : "WORSE",
+          segment.flips.length > 0 ? "FLIPS: " + segment.flips.join(", ") : "Same"
+        ];
+        for (var i = 0; i < segmentRow.length; i++) {
+          var cell = sheet.getRange(row, i + 1);
+          cell.setValue(segmentRow[i]);
+          if (segment.flips.length > 0) {
+            cell.setBackground("#fce5cd"); // Light orange for flipped segments
+          }
+        }
+        row++;
+      });
+    });
+    
     row++; // Empty row between ad groups
   });
   
@@ -909,8 +4326,16 @@ function outputToGoogleSheet(results, config) {
   sheet.getRange(row, 2).setValue(betterRate);
   row++;
   
+  sheet.getRange(row, 1).setValue("Control Not Found:");
+  sheet.getRange(row, 2).setValue(controlNotFoundCount);
+  row++;
+  
+  sheet.getRange(row, 1).setValue(config.excludeSrmFromSummary ? "Sample Ratio Mismatch (excluded):" : "Sample Ratio Mismatch:");
+  sheet.getRange(row, 2).setValue(srmMismatchCount);
+  row++;
+  
   // Format the spreadsheet
-  sheet.autoResizeColumns(1, 17); // Increased to 17 for all the new columns
+  sheet.autoResizeColumns(1, sheet.getLastColumn()); // One column per test ad field
   
   // Log the spreadsheet URL
   Logger.log("Results output to Google Sheet: " + config.spreadsheetUrl);